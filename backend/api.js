@@ -166,9 +166,14 @@ export const API = {
     /**
      * Sync a completed set result to the backend.
      * Called by engine.js after Progress.saveResult().
+     * `details` carries attempt metadata (e.g. { mode: 'exam', timedOut, seed }) —
+     * the seed replays the attempt's paper via practice.html?seed=…, and
+     * `hints` lists the IDs of questions answered after opening their hint.
+     * `details.timestamp` is the one Progress.saveResult stored, so the row
+     * and the local attempt match when progress is merged.
      * If backend is unreachable, queues the result for retry.
      */
-    async syncResult(subject, level, set, score, total, timeTaken) {
+    async syncResult(subject, level, set, score, total, timeTaken, { timestamp = Date.now(), ...details } = {}) {
         if (!BACKEND_URL) {
             return { success: false, reason: 'no_backend_configured' };
         }
@@ -183,9 +188,10 @@ export const API = {
             score,
             total,
             timeTaken,
+            details,
             percentage: Math.round((score / total) * 100),
-            timestamp: Date.now(),
-            date: new Date().toISOString()
+            timestamp,
+            date: new Date(timestamp).toISOString()
         };
 
         const result = await this._sendPayload(payload);
@@ -208,6 +214,40 @@ export const API = {
         return result;
     },
 
+    /**
+     * Push the whole mistake notebook to the backend.
+     * Not queued when offline — the next push carries every change anyway.
+     */
+    async syncMistakes(notebook) {
+        if (!BACKEND_URL) {
+            return { success: false, reason: 'no_backend_configured' };
+        }
+        return this._sendPayload({
+            action: 'saveMistakes',
+            studentId: getStudentId(),
+            notebook,
+            updatedAt: notebook?.updatedAt || Date.now()
+        });
+    },
+
+    /**
+     * Fetch the mistake notebook saved on the backend.
+     * Returns { success, notebook } or null.
+     */
+    async fetchMistakes(studentId) {
+        if (!BACKEND_URL) return null;
+        try {
+            const res = await fetch(
+                `${BACKEND_URL}?action=getMistakes&id=${encodeURIComponent(studentId || getStudentId())}`,
+                { method: 'GET' }
+            );
+            if (!res.ok) return null;
+            return await res.json();
+        } catch {
+            return null;
+        }
+    },
+
     /**
      * Retry sending any queued (offline) results.
      * Call this on page load or when connectivity is restored.
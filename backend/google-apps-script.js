@@ -8,19 +8,25 @@
 //
 //  2. Your Google Sheet ID: 1PcgVZrGEwjuJa0lhnptAtI-e1_33jZ97Gpwt-3OFC0Y
 //
-//  3. In your Google Sheet, create THREE sheets (tabs):
+//  3. In your Google Sheet, create FOUR sheets (tabs):
 //     - "REGISTRATION" with columns:
 //       studentId | studentName | email | passwordHash | salt |
 //       status | role | createdAt | lastLogin | activeSessionToken
 //
 //     - "RESULTS" with columns:
 //       studentId | studentName | subject | level | set | score |
-//       total | percentage | timeTaken | date | timestamp
+//       total | percentage | timeTaken | date | timestamp | details
+//       (details = JSON attempt metadata, e.g. {"mode":"exam","timedOut":true,
+//        "seed":"k3x9qa","telemetry":[{"id","first","dwell","changes"}, …]})
 //
 //     - "STUDENT_DETAILS" with columns:
 //       studentId | studentName | schoolName | className |
 //       profileImageURL | guardianName | contactNumber | address | createdAt
 //
+//     - "MISTAKES" with columns:
+//       studentId | notebook | updatedAt
+//       (notebook = JSON mistake notebook, one row per student)
+//
 //  4. Copy this entire file content into the Apps Script editor.
 //
 //  5. Deploy:
@@ -39,8 +45,8 @@
 // ── IMPORTANT NOTES ─────────────────────────────────────────────
 //
 //  - Google Apps Script handles CORS automatically for deployed web apps.
-//  - The doPost function handles: login, saveResult, validateSession.
-//  - The doGet function handles: getProgress, getProfile.
+//  - The doPost function handles: login, saveResult, saveMistakes, validateSession.
+//  - The doGet function handles: getProgress, getProfile, getMistakes.
 //  - Each redeployment generates a new URL — update BACKEND_URL.
 //  - Passwords are hashed with SHA-256 + random salt. Not plain text.
 //
@@ -48,6 +54,9 @@
 
 // ── CONFIGURATION ───────────────────────────────────────────────
 const SHEET_ID = '1PcgVZrGEwjuJa0lhnptAtI-e1_33jZ97Gpwt-3OFC0Y';
+const MAX_ATTEMPTS = 20;   // attempt history per set sent back with progress
+const MAX_MISTAKES = 300;  // mistake notebook entries kept per student
+const CLEARED_TTL_MS = 90 * 24 * 60 * 60 * 1000;   // cleared notebook entries remembered this long
 
 // ── Column indices (0-based) for REGISTRATION sheet ─────────────
 const REG_COL = {
@@ -77,7 +86,15 @@ const RES_COL = {
     PERCENTAGE: 7,
     TIME_TAKEN: 8,
     DATE: 9,
-    TIMESTAMP: 10
+    TIMESTAMP: 10,
+    DETAILS: 11
+};
+
+// ── Column indices (0-based) for MISTAKES sheet ─────────────────
+const MIS_COL = {
+    STUDENT_ID: 0,
+    NOTEBOOK: 1,
+    UPDATED_AT: 2
 };
 
 // ── Execution-level spreadsheet cache ───────────────────────────
@@ -100,6 +117,8 @@ function doPost(e) {
                 return _handleLogin(data);
             case 'saveResult':
                 return _handleSaveResult(data);
+            case 'saveMistakes':
+                return _handleSaveMistakes(data);
             case 'validateSession':
                 return _handleValidateSession(data);
             case 'checkSession':
@@ -137,6 +156,10 @@ function doGet(e) {
                 if (!studentId) return _jsonResponse({ success: false, error: 'Missing student ID', code: 'MISSING_ID' });
                 return _jsonResponse(_getStudentProfile(studentId));
 
+            case 'getMistakes':
+                if (!studentId) return _jsonResponse({ success: false, error: 'Missing student ID', code: 'MISSING_ID' });
+                return _jsonResponse(_getStudentMistakes(studentId));
+
             default:
                 return _jsonResponse({
                     status: 'ok',
@@ -318,12 +341,91 @@ function _handleSaveResult(data) {
         data.percentage || Math.round((data.score / data.total) * 100),
         data.timeTaken || 0,
         data.date || new Date().toISOString(),
-        data.timestamp || Date.now()
+        data.timestamp || Date.now(),
+        JSON.stringify(data.details || {})
     ]);
 
     return _jsonResponse({ success: true, message: 'Result saved.' });
 }
 
+// ── Save Mistakes Handler ───────────────────────────────────────
+// One row per student holding the whole notebook; an older copy never
+// overwrites a newer one.
+function _handleSaveMistakes(data) {
+    if (!data.studentId || !data.notebook || typeof data.notebook !== 'object') {
+        return _jsonResponse({ success: false, error: 'Missing required fields.', code: 'MISSING_FIELDS' });
+    }
+
+    const ss = _getSS();
+
+    // ── Verify student exists and is approved (targeted read) ───
+    const regSheet = ss.getSheetByName('REGISTRATION');
+    if (!regSheet) {
+        return _jsonResponse({ success: false, error: 'Registration sheet not found.', code: 'SHEET_NOT_FOUND' });
+    }
+    const studentRow = _findRowByColumn(regSheet, REG_COL.STUDENT_ID, data.studentId);
+    if (!studentRow) {
+        return _jsonResponse({ success: false, error: 'Student not found.', code: 'STUDENT_NOT_FOUND' });
+    }
+    const status = String(studentRow.values[REG_COL.STATUS] || '').trim().toLowerCase();
+    if (status !== 'approved') {
+        return _jsonResponse({ success: false, error: 'Student not verified.', code: 'NOT_VERIFIED' });
+    }
+
+    const sheet = ss.getSheetByName('MISTAKES');
+    if (!sheet) {
+        return _jsonResponse({ success: false, error: 'MISTAKES sheet not found.', code: 'SHEET_NOT_FOUND' });
+    }
+
+    // Each device pushes its whole notebook — merge entry by entry so one
+    // device's push never drops mistakes recorded on another
+    const existing = _findRowByColumn(sheet, MIS_COL.STUDENT_ID, data.studentId);
+    const stored = existing ? _parseJsonCell(existing.values[MIS_COL.NOTEBOOK]) : {};
+    const notebook = _mergeNotebooks(stored, data.notebook);
+    const row = [data.studentId, JSON.stringify(notebook), notebook.updatedAt || Date.now()];
+
+    if (!existing) {
+        sheet.appendRow(row);
+    } else {
+        sheet.getRange(existing.rowIndex, 1, 1, row.length).setValues([row]);
+    }
+
+    return _jsonResponse({ success: true, message: 'Mistakes saved.' });
+}
+
+/**
+ * Same rules as the client (progress.js): per 'subject/level/id' the copy
+ * changed last wins, and an entry cleared after its last change stays
+ * cleared. Keeps the newest MAX_MISTAKES entries.
+ */
+function _mergeNotebooks(a, b) {
+    const touched = e => e.touchedAt || e.lastWrong || 0;
+    const cutoff = Date.now() - CLEARED_TTL_MS;
+    const cleared = {};
+    [a.cleared || {}, b.cleared || {}].forEach(c => Object.keys(c).forEach(key => {
+        if (c[key] >= cutoff) cleared[key] = Math.max(cleared[key] || 0, c[key]);
+    }));
+
+    const entries = {};
+    [a.entries || {}, b.entries || {}].forEach(list => Object.keys(list).forEach(key => {
+        const entry = list[key];
+        if (!entry || typeof entry !== 'object' || (cleared[key] || 0) >= touched(entry)) return;
+        if (!entries[key] || touched(entry) > touched(entries[key])) entries[key] = entry;
+    }));
+    const keys = Object.keys(entries);
+    if (keys.length > MAX_MISTAKES) {
+        keys.sort((x, y) => (entries[x].lastWrong || 0) - (entries[y].lastWrong || 0))
+            .slice(0, keys.length - MAX_MISTAKES)
+            .forEach(key => delete entries[key]);
+    }
+
+    return {
+        updatedAt: Math.max(Number(a.updatedAt) || 0, Number(b.updatedAt) || 0),
+        entries: entries,
+        cleared: cleared
+    };
+}
+
 // ── Validate Session Handler ────────────────────────────────────
 function _handleValidateSession(data) {
     if (!data.studentId || !data.token || !data.loginAt) {
@@ -572,7 +674,7 @@ function _getStudentProgress(studentId) {
     if (lastRow <= 1) return {};
 
     // Read all data but only the columns we need
-    const data = sheet.getRange(2, 1, lastRow - 1, 11).getValues();
+    const data = sheet.getRange(2, 1, lastRow - 1, 12).getValues();
     const progress = {};
 
     for (let i = 0; i < data.length; i++) {
@@ -588,22 +690,95 @@ function _getStudentProgress(studentId) {
         const timeTaken = row[RES_COL.TIME_TAKEN];
         const date = row[RES_COL.DATE];
         const timestamp = row[RES_COL.TIMESTAMP];
+        const details = _parseJsonCell(row[RES_COL.DETAILS]);
+        const mode = details.mode || 'practice';
 
         if (!progress[subject]) progress[subject] = {};
         if (!progress[subject][level]) progress[subject][level] = {};
 
-        // Keep best score only
+        // Final exams are summarised in the level's _meta, not as a set
+        if (details.source === 'final') {
+            const meta = progress[subject][level]._meta || (progress[subject][level]._meta = {});
+            const f = meta.final || { best: 0, passed: false, certifiedAt: null, attemptAt: 0, attempts: 0 };
+            const passed = percentage >= (details.passMark || 80);
+            f.best = Math.max(f.best, percentage);
+            f.passed = f.passed || passed;
+            if (passed && (!f.certifiedAt || timestamp < f.certifiedAt)) f.certifiedAt = timestamp;
+            f.attempts++;
+            if (timestamp > f.attemptAt) {
+                f.attemptAt = timestamp;
+                f.score = score; f.total = total; f.percentage = percentage;
+                f.timeTaken = timeTaken; f.date = date; f.seed = details.seed || '';
+            }
+            meta.final = f;
+            continue;
+        }
+
+        // The entry holds the best score — learning-mode rows never beat
+        // assessed ones — while every row goes into its attempt history
         const existing = progress[subject][level][set];
-        if (!existing || percentage >= existing.percentage) {
+        const existingLearn = existing && existing.mode === 'learn';
+        const replace = !existing || (mode === 'learn'
+            ? existingLearn && percentage >= existing.percentage
+            : existingLearn || percentage >= existing.percentage);
+        const attempts = existing ? existing.attempts : [];
+        attempts.push({ score, total, percentage, timeTaken, mode, date, timestamp });
+        if (replace) {
             progress[subject][level][set] = {
-                score, total, percentage, timeTaken, date, timestamp
+                score, total, percentage, timeTaken, date, timestamp, mode, seed: details.seed || '', attempts
             };
         }
     }
 
+    for (const subject of Object.keys(progress)) {
+        for (const level of Object.keys(progress[subject])) {
+            for (const set of Object.keys(progress[subject][level])) {
+                if (set === '_meta') continue;
+                const entry = progress[subject][level][set];
+                entry.attemptCount = entry.attempts.length;
+                entry.attempts = _compactAttempts(entry.attempts);
+            }
+        }
+    }
+
     return progress;
 }
 
+/**
+ * Same policy as the client (progress.js): oldest first, and past
+ * MAX_ATTEMPTS only the first attempt plus the most recent ones.
+ */
+function _compactAttempts(list) {
+    const sorted = list.slice().sort((a, b) => a.timestamp - b.timestamp);
+    return sorted.length > MAX_ATTEMPTS
+        ? [sorted[0]].concat(sorted.slice(-(MAX_ATTEMPTS - 1)))
+        : sorted;
+}
+
+/** Parse a JSON object cell — RESULTS details, MISTAKES notebook ({} when empty) */
+function _parseJsonCell(cell) {
+    if (!cell) return {};
+    try {
+        const parsed = JSON.parse(cell);
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * Get the mistake notebook for a student from the MISTAKES sheet.
+ */
+function _getStudentMistakes(studentId) {
+    const sheet = _getSS().getSheetByName('MISTAKES');
+    if (!sheet) return { success: false, error: 'MISTAKES sheet not found.' };
+
+    const row = _findRowByColumn(sheet, MIS_COL.STUDENT_ID, studentId);
+    if (!row) return { success: true, notebook: null };
+
+    return { success: true, notebook: _parseJsonCell(row.values[MIS_COL.NOTEBOOK]) };
+}
+
 /**
  * Get student profile details from STUDENT_DETAILS sheet.
  * Uses targeted row lookup.
@@ -22,8 +22,84 @@ export default {
     // ── Engine ──────────────────────────────────────────────────
     // 'mcq'  → multiple-choice option buttons (A B C D)
     // 'fill' → sentence-with-blank + pill options
+    //          Several blanks: give the question a `blanks` array of
+    //          { options, answer } (one per blank, in order); set
+    //          `partialCredit: true` to score each blank separately
+    // 'type' → sentence-with-blank + text input, checked against the
+    //          question's `accepted` list (falls back to options[answer])
+    //          ignoring case, curly vs straight apostrophes and extra spaces
+    // 'spot' → "find the error": the sentence is split into tappable
+    //          words (or the question's `segments` phrases); `error` is the
+    //          index or text of the wrong one, `correction` its fix
+    // 'order' → jumbled words: `q` is the instruction, `tokens` the
+    //          sentence in correct order, `accepted` optional alternative
+    //          orders; students tap words into place (keyboard ← → works)
+    // A question may override this with its own `engine` field.
+    // It may also carry a stable `id` (unique across the subject); without
+    // one, an ID is derived from the question's content, so rewording a
+    // question makes it a new question for progress tracking.
+    // Any question may show a picture: `image: { src, alt }` (alt text
+    // is required — an image without it is dropped). MCQ questions may
+    // also set `optionImages`, one `{ src, alt }` (or null) per option.
+    // Bare file names resolve inside this subject's data folder, like
+    // video thumbnails below.
+    // Question text, options, hints and explanations may use <b>, <i>,
+    // <u> and <br> (or a newline); any other markup shows as typed.
+    // Error-spotting sentences and reorder tokens stay plain text.
     engine: 'fill',
 
+    // ── Hints ───────────────────────────────────────────────────
+    // A question may carry a `hint`; its card then gets a "Show hint"
+    // button (never in exam mode). A correct answer after opening the
+    // hint scores `worth` points instead of 1.
+    hints: {
+        worth: 0.5
+    },
+
+    // ── Exam mode ───────────────────────────────────────────────
+    // Any set opens as a timed exam with ?mode=exam; a level with a
+    // `timeLimit` (seconds, in `levels` below) always runs as one.
+    // The clock counts down, warns at each `warnAt` mark (seconds left)
+    // and auto-submits at zero — unanswered questions count as wrong.
+    exam: {
+        secondsPerQuestion: 60,   // limit when the level has no timeLimit
+        warnAt: [120, 30]
+    },
+
+    // ── Resume drafts ───────────────────────────────────────────
+    // An unfinished attempt is saved on this device after every answer
+    // and offered back on reload; drafts older than this are discarded.
+    // A timed exam's clock keeps running while the page is closed.
+    draft: {
+        expireAfterHours: 24      // 0 turns resuming off
+    },
+
+    // ── Mistake notebook ────────────────────────────────────────
+    // Every wrongly answered question is noted (see mistakes.html) and can
+    // be practised as its own set; it leaves the notebook once answered
+    // correctly `clearAfter` times in a row.
+    mistakes: {
+        clearAfter: 2
+    },
+
+    // ── Spaced review ───────────────────────────────────────────
+    // Every answered question is scheduled (Leitner boxes: 1, 2, 4, 8 …
+    // days); the dashboard offers a daily review of the ones due.
+    review: {
+        sessionSize: 20           // most questions in one review round
+    },
+
+    // ── Final exam ──────────────────────────────────────────────
+    // Each level ends with a final exam drawn from its set.json pool,
+    // always run under exam rules (timed, no instant feedback). Passing
+    // it certifies the level; a new attempt opens `cooldownHours` after
+    // the previous one started.
+    final: {
+        questions: 30,
+        passMark: 80,             // % needed to certify the level
+        cooldownHours: 24
+    },
+
     // ── Unlock threshold ────────────────────────────────────────
     // Student must score this % or higher to unlock the PDF solution.
     unlockAt: 80,
@@ -140,13 +216,16 @@ export default {
 
         preprimary: {
             label: 'Pre-Primary',
+            mode: 'learn',           // instant feedback for younger learners
             order: 1,
             playlistId: null,
-            videoTitle: null
+            videoTitle: null,
+            timeLimit: null          // seconds — set to make every set a timed exam
         },
 
         primary: {
             label: 'Primary',
+            mode: 'learn',
             order: 2,
             playlistId: null,        // legacy fallback only
             videoTitle: 'Primary Subject-Verb Agreement Course'
@@ -6,6 +6,7 @@
 
 import { Progress } from './progress.js';
 import { checkAuth, isAuthenticated } from './auth-guard.js';
+import { sparkline } from './charts.js';
 
 // ── Authentication guard (non-blocking) ─────────────────────────
 // 1. Immediate local session check — redirects instantly if expired/missing
@@ -61,19 +62,64 @@ document.head.appendChild(_s);
 // EXPORTED UTILITIES  (used by engine.js too)
 // ================================================================
 
-/** Escape HTML to prevent XSS when injecting into innerHTML */
+/** Escape HTML to prevent XSS when injecting into innerHTML — quotes too, so it is safe inside attributes */
 export function escapeHTML(str) {
     if (typeof str !== 'string') return '';
     const div = document.createElement('div');
     div.textContent = str;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// Inline markup allowed in question text: <b> <i> <u> (and the <strong>
+// and <em> spellings) plus <br> or a plain newline for a line break.
+const FORMAT_TAG = { b: 'b', strong: 'b', i: 'i', em: 'i', u: 'u' };
+const FORMAT_TOKEN_RE = /&lt;(\/?)([a-z]+)\s*(\/?)&gt;|\r?\n/gi;
+
+/**
+ * Escape a string for innerHTML, then re-allow the small formatting subset
+ * above. Tags carry no attributes, unmatched closers stay as escaped text
+ * and anything left open is closed at the end, so the markup can never
+ * leak into the surrounding HTML.
+ */
+export function formatText(str) {
+    const open = [];
+    const html = escapeHTML(str).replace(FORMAT_TOKEN_RE, (m, slash, name, selfClose) => {
+        if (m.endsWith('\n') || (name.toLowerCase() === 'br' && !slash)) return '<br>';
+        const tag = FORMAT_TAG[name.toLowerCase()];
+        if (!tag || selfClose) return m;
+        if (!slash) {
+            open.push(tag);
+            return `<${tag}>`;
+        }
+        const at = open.lastIndexOf(tag);
+        if (at === -1) return m;
+        // Close anything opened inside it first, so nesting stays valid
+        return open.splice(at).reverse().map(t => `</${t}>`).join('');
+    });
+    return html + open.reverse().map(t => `</${t}>`).join('');
+}
+
+/**
+ * The same string with the formatting subset removed (a line break becomes
+ * a space) — for answers, words and tokens that are compared or shown as
+ * plain text. Any other tag is left alone, as formatText shows it literally.
+ */
+export function plainText(str) {
+    return String(str ?? '').replace(/<\/?(?:b|strong|i|em|u)\s*>|<br\s*\/?>/gi,
+        m => m.toLowerCase().startsWith('<br') ? ' ' : '');
 }
 
 // ── Param validation constants ──────────────────────────────────
 const VALID_LEVELS = ['preprimary', 'primary', 'middle', 'high'];
 const VALID_PARAM_RE = /^[a-zA-Z0-9_-]+$/;
-
-/** Parse URL query params → { subject, level, set, mode } with validation */
+// Where practice.html takes its questions from: one set file, the
+// student's mistake notebook for the level, the spaced-review questions due,
+// a custom quiz drawn from the set.json pools (see getCustomSpec), or the
+// level's final exam drawn from its own pool
+const VALID_SOURCES = ['set', 'mistakes', 'review', 'custom', 'final'];
+const CUSTOM_COUNT = { min: 5, max: 100, fallback: 20 };
+
+/** Parse URL query params → { subject, level, set, mode, source, seed } with validation */
 export function getParams() {
     const p = new URLSearchParams(window.location.search);
 
@@ -81,6 +127,8 @@ export function getParams() {
     let level = p.get('level') || 'high';
     let set = p.get('set') || '1';
     let mode = p.get('mode') || 'student';
+    let source = p.get('source') || 'set';
+    let seed = p.get('seed') || '';
 
     // Validate subject — only alphanumeric, hyphens, underscores
     if (!VALID_PARAM_RE.test(subject)) subject = 'tenses';
@@ -90,8 +138,46 @@ export function getParams() {
     if (!/^\d+$/.test(set) || parseInt(set, 10) < 1) set = '1';
     // Validate mode
     if (!VALID_PARAM_RE.test(mode)) mode = 'student';
+    // Validate source — must be from known list
+    if (!VALID_SOURCES.includes(source)) source = 'set';
+    // Validate seed — replays an attempt's paper (not a final exam's); empty → a new one
+    if (!/^[a-z0-9]{1,16}$/i.test(seed)) seed = '';
+
+    return { subject, level, set, mode, source, seed };
+}
+
+/**
+ * Parse a custom quiz from the URL → { subjects[], levels[], count }, or
+ * null when no valid subject or level is given.
+ * e.g. ?source=custom&subjects=sva,tenses&levels=middle,high&count=20
+ */
+export function getCustomSpec() {
+    const p = new URLSearchParams(window.location.search);
+    const list = key => [...new Set((p.get(key) || '').split(',').map(v => v.trim()).filter(Boolean))];
+
+    const subjects = list('subjects').filter(s => VALID_PARAM_RE.test(s));
+    const levels = list('levels').filter(l => VALID_LEVELS.includes(l))
+        .sort((a, b) => VALID_LEVELS.indexOf(a) - VALID_LEVELS.indexOf(b));
+    let count = parseInt(p.get('count'), 10);
+    if (!Number.isInteger(count)) count = CUSTOM_COUNT.fallback;
+    count = Math.min(CUSTOM_COUNT.max, Math.max(CUSTOM_COUNT.min, count));
 
-    return { subject, level, set, mode };
+    if (subjects.length === 0 || levels.length === 0) return null;
+    return { subjects, levels, count };
+}
+
+/**
+ * Resolve a content path from a config or question file: URLs, data: URIs
+ * and './' / '../' paths are used as-is, '/x' is taken from the site root
+ * and a bare name is relative to the subject's data folder
+ * (e.g. '46.png' → data/sva/46.png).
+ */
+export function resolveDataPath(path, subjectId) {
+    if (!path || path.startsWith('http') || path.startsWith('data:')) return path;
+    // Root-relative path: strip leading '/' and use from webserver root
+    if (path.startsWith('/')) return path.replace(/^\/+/, '');
+    if (path.startsWith('./') || path.startsWith('../')) return path;
+    return subjectId ? `data/${subjectId}/${path}` : path;
 }
 
 /**
@@ -182,12 +268,15 @@ export function updateHeaderProgress(answered, total) {
     fill.style.width = total > 0 ? `${(answered / total) * 100}%` : '0%';
 }
 
-/** Timer helpers (used by engine.js) — uses Date.now() delta to avoid drift */
+/**
+ * Timer helpers (used by engine.js) — uses Date.now() delta to avoid drift.
+ * `offsetSec` resumes a clock that already ran for that many seconds.
+ */
 let _timerHandle = null;
 let _timerStart = 0;
 
-export function startTimer(targetId = 'engine-timer') {
-    _timerStart = Date.now();
+export function startTimer(targetId = 'engine-timer', offsetSec = 0) {
+    _timerStart = Date.now() - offsetSec * 1000;
     clearInterval(_timerHandle);
     _timerHandle = setInterval(() => {
         const elapsed = Math.floor((Date.now() - _timerStart) / 1000);
@@ -199,8 +288,40 @@ export function startTimer(targetId = 'engine-timer') {
     }, 1000);
 }
 
+/**
+ * Countdown variant of startTimer (exam mode). Shows the time remaining,
+ * calls onTick(remaining) every second and onExpire() once it hits zero.
+ * stopTimer() still returns the elapsed seconds.
+ */
+export function startCountdown(targetId, limitSec, { onTick, onExpire, offsetSec = 0 } = {}) {
+    _timerStart = Date.now() - offsetSec * 1000;
+    clearInterval(_timerHandle);
+    const tick = () => {
+        const elapsed = Math.floor((Date.now() - _timerStart) / 1000);
+        const remaining = Math.max(0, limitSec - elapsed);
+        const el = document.getElementById(targetId);
+        if (el) {
+            const m = String(Math.floor(remaining / 60)).padStart(2, '0');
+            const s = String(remaining % 60).padStart(2, '0');
+            el.textContent = `${m}:${s}`;
+        }
+        onTick?.(remaining);
+        if (remaining === 0) {
+            clearInterval(_timerHandle);
+            onExpire?.();
+        }
+    };
+    tick();
+    _timerHandle = setInterval(tick, 1000);
+}
+
 export function stopTimer() {
     clearInterval(_timerHandle);
+    return elapsedTimer();
+}
+
+/** Seconds on the running clock, without stopping it */
+export function elapsedTimer() {
     return Math.floor((Date.now() - _timerStart) / 1000);
 }
 
@@ -227,12 +348,30 @@ export const SUBJECTS = [
 // PAGE ROUTER — runs after DOM is ready to avoid TDZ issues
 // ================================================================
 document.addEventListener('DOMContentLoaded', () => {
+    _storageNotice();
     const _path = window.location.pathname;
     if (_path.includes('subject.html')) _initSubject();
     else if (_path.includes('level.html')) _initLevel();
     else _initIndex();  // index.html + fallback
 });
 
+/** Strip above the page when saved progress could not be opened this visit */
+function _storageNotice() {
+    if (!Progress.loadFailed()) return;
+    const note = document.createElement('div');
+    note.setAttribute('role', 'alert');
+    note.className = 'px-4 py-3 bg-red-950/90 border-b border-red-500/40 text-center ' +
+        'text-red-300 text-xs font-bold';
+    note.innerHTML = `
+        Your saved progress couldn't be opened on this visit, so scores and unlocked
+        sets may look missing. New results are still saved.
+        <button type="button" onclick="location.reload()"
+                class="ml-2 underline underline-offset-2 hover:text-white transition-colors">
+            Reload
+        </button>`;
+    document.body.prepend(note);
+}
+
 async function _initIndex() {
 
     // ── Helper: render stats from current localStorage data ─────
@@ -304,8 +443,9 @@ async function _initIndex() {
         }
     });
 
-    // ── Step 5: Resume card ──────────────────────────────────────
+    // ── Step 5: Resume card + review due ─────────────────────────
     _renderResumeCard(stats);
+    _renderReviewCard();
 
     function _renderResumeCard(st) {
         const la = st.lastAttempted;
@@ -362,6 +502,54 @@ async function _initIndex() {
         </div>`;
     }
 
+    function _renderReviewCard() {
+        const reviewWrap = document.getElementById('review-wrap');
+        if (!reviewWrap) return;
+
+        // Due questions per subject, in dashboard order
+        const due = {};
+        for (const r of Progress.getDueReviews()) due[r.subject] = (due[r.subject] || 0) + 1;
+        const rows = available.filter(sub => due[sub.id]);
+        if (rows.length === 0) return;
+
+        const total = rows.reduce((sum, sub) => sum + due[sub.id], 0);
+        reviewWrap.classList.remove('hidden');
+        reviewWrap.innerHTML = `
+        <div class="bg-slate-900 border border-slate-800/80 hover:border-blue-500/40 rounded-xl
+                    transition-all duration-300 overflow-hidden">
+            <div class="flex items-center justify-between px-5 py-3 border-b border-slate-800/60">
+                <div class="flex items-center gap-2">
+                    <span class="w-1.5 h-1.5 rounded-full bg-blue-500
+                                 shadow-[0_0_6px_rgba(59,130,246,0.6)]"></span>
+                    <span class="text-[10px] font-black tracking-widest text-blue-400 uppercase">
+                        Review Due
+                    </span>
+                </div>
+                <span class="text-[10px] text-slate-600 font-medium">
+                    ${total} question${total !== 1 ? 's' : ''} today
+                </span>
+            </div>
+            <div class="divide-y divide-slate-800/60">
+                ${rows.map(sub => `
+                <div class="flex items-center justify-between px-5 py-3.5 gap-3">
+                    <div class="min-w-0">
+                        <div class="text-sm font-black text-white uppercase tracking-tight truncate">
+                            ${escapeHTML(sub.title || sub.id.replace(/-/g, ' '))}
+                        </div>
+                        <div class="text-[10px] font-bold text-slate-500 uppercase tracking-widest mt-0.5">
+                            ${due[sub.id]} due
+                        </div>
+                    </div>
+                    <a href="practice.html?subject=${encodeURIComponent(sub.id)}&source=review"
+                       class="shrink-0 px-4 py-2 bg-blue-600 hover:bg-blue-500 text-white font-black
+                              text-[10px] uppercase tracking-widest rounded-lg transition-all active:scale-95">
+                        Start Review
+                    </a>
+                </div>`).join('')}
+            </div>
+        </div>`;
+    }
+
     // ── Step 5: Render subject cards ─────────────────────────────
     grid.innerHTML = '';
 
@@ -505,19 +693,8 @@ function _resolveVideoMeta(config, subjectTitle) {
             ? `https://www.youtube.com/playlist?list=${playlistId}`
             : null);
 
-    let thumbnail = vc.thumbnail || null;
-
-    if (thumbnail && !thumbnail.startsWith('http') && !thumbnail.startsWith('data:')) {
-        if (thumbnail.startsWith('/')) {
-            // Root-relative path: strip leading '/' and use from webserver root
-            thumbnail = thumbnail.replace(/^\/+/, '');
-        } else if (!thumbnail.startsWith('./') && !thumbnail.startsWith('../')) {
-            // Bare filename (e.g. '46.png'): resolve relative to subject data dir
-            const subjectId = config?.id || '';
-            thumbnail = subjectId ? `data/${subjectId}/${thumbnail}` : thumbnail;
-        }
-        // Paths starting with './' or '../' are used as-is
-    }
+    // Bare filename (e.g. '46.png'): resolved relative to the subject data dir
+    let thumbnail = resolveDataPath(vc.thumbnail || null, config?.id || '');
 
     if (!thumbnail && playlistId) {
         thumbnail = `https://img.youtube.com/vi/${playlistId}/hqdefault.jpg`;
@@ -707,6 +884,7 @@ async function _initSubject() {
             levelsWithProgress++;
         }
         const pct = Math.round((stats.completed / sets.length) * 100);
+        const certified = !!Progress.getFinalExam(subject, lvl)?.passed;
 
         const card = document.createElement('a');
         card.href = `level.html?subject=${encodeURIComponent(subject)}&level=${encodeURIComponent(lvl)}`;
@@ -757,6 +935,10 @@ async function _initSubject() {
                         ${stats.avgScore > 0 ? `
                         <span class="opacity-30">•</span>
                         <span class="text-slate-400">${stats.avgScore}% avg</span>` : ''}
+                        <span class="opacity-30">•</span>
+                        ${certified
+                ? `<span class="text-yellow-400">✓ Certified</span>`
+                : `<span>Not certified</span>`}
                     </div>
                 </div>
                 <div class="shrink-0 w-9 h-9 rounded-xl bg-slate-950 border border-slate-800
@@ -941,7 +1123,8 @@ async function _initLevel() {
 
         <div class="w-1 shrink-0 ${accentBar}"></div>
 
-        <div class="flex-1 flex flex-col sm:flex-row sm:items-center gap-4 px-5 py-4 relative z-10">
+        <div class="flex-1 min-w-0 flex flex-col relative z-10">
+        <div class="flex flex-col sm:flex-row sm:items-center gap-4 px-5 py-4">
 
             <div class="flex items-center gap-4 flex-1 min-w-0">
 
@@ -1019,6 +1202,8 @@ async function _initLevel() {
                     </svg>
                 </a>
             </div>
+        </div>
+        ${isAttempted ? _setHistory(result, Progress.getAttempts(subject, level, String(setNum)), UNLOCK_AT) : ''}
         </div>`;
 
         container.appendChild(card);
@@ -1081,6 +1266,8 @@ async function _initLevel() {
         </div>`;
     }
 
+    analyticsEl?.insertAdjacentHTML('beforeend', _finalExamCard(subject, level, config));
+
     stagger('.set-card', 45);
 
     if (completed > 0) {
@@ -1094,6 +1281,129 @@ async function _initLevel() {
     }
 }
 
+const MODE_LABEL = { practice: 'Practice', exam: 'Exam', learn: 'Learning' };
+
+function _duration(sec) {
+    if (!sec) return '—';
+    return sec >= 60 ? `${Math.floor(sec / 60)}m ${String(Math.round(sec % 60)).padStart(2, '0')}s` : `${Math.round(sec)}s`;
+}
+
+/**
+ * Set card footer: a collapsible list of every kept attempt, newest first,
+ * with a sparkline of the scores in its summary. Results saved before
+ * histories were kept show as their single best attempt.
+ */
+function _setHistory(result, attempts, unlockAt) {
+    if (!attempts.length) return '';
+    const scores = attempts.map(a => a.percentage || 0);
+    const count = Math.max(result.attemptCount || 0, attempts.length);
+    const trend = scores.length > 1
+        ? `Scores from ${scores[0]}% to ${scores[scores.length - 1]}% over ${scores.length} attempts`
+        : `One attempt, ${scores[0]}%`;
+
+    const rows = attempts.slice().reverse().map(a => {
+        const date = a.timestamp
+            ? new Date(a.timestamp).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+            : a.date;
+        const color = a.percentage >= unlockAt ? 'text-emerald-400' : 'text-orange-400';
+        return `
+            <li class="flex flex-wrap items-center gap-x-3 gap-y-0.5 py-1.5
+                       text-[10px] font-bold text-slate-500 uppercase tracking-widest">
+                <span class="w-10 text-right text-xs font-black ${color}">${a.percentage}%</span>
+                <span>${a.score} / ${a.total}</span>
+                <span class="opacity-30">·</span>
+                <span>${escapeHTML(date || '—')}</span>
+                <span class="opacity-30">·</span>
+                <span title="Time taken">${_duration(a.timeTaken)}</span>
+                <span class="px-1.5 py-0.5 rounded border border-slate-800 text-[9px] text-slate-400">
+                    ${escapeHTML(MODE_LABEL[a.mode] || a.mode || 'Practice')}
+                </span>
+            </li>`;
+    }).join('');
+
+    return `
+        <details class="set-history group border-t border-slate-800/70">
+            <summary class="flex items-center gap-2 px-5 py-2.5 cursor-pointer select-none list-none
+                            text-[10px] font-black uppercase tracking-widest text-slate-500
+                            hover:text-slate-300 transition-colors">
+                <svg class="w-3 h-3 shrink-0 transition-transform duration-200 group-open:rotate-90"
+                     fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2.5" d="M9 5l7 7-7 7"/>
+                </svg>
+                History
+                <span class="text-slate-600">· ${count} attempt${count !== 1 ? 's' : ''}</span>
+                <span class="ml-auto text-yellow-400/80">
+                    ${sparkline(scores, { mark: unlockAt, label: trend })}
+                </span>
+            </summary>
+            <ol class="px-5 pb-3 divide-y divide-slate-800/60">${rows}</ol>
+            ${count > attempts.length ? `
+            <p class="px-5 pb-3 text-[9px] font-bold text-slate-600 uppercase tracking-widest">
+                Showing your first and latest ${attempts.length} of ${count} attempts
+            </p>` : ''}
+        </details>`;
+}
+
+/** Level page sidebar: final exam status — certification is separate from set completion */
+function _finalExamCard(subject, level, config) {
+    const rules = { questions: 30, passMark: 80, cooldownHours: 24, ...config.final };
+    const record = Progress.getFinalExam(subject, level);
+    const opensAt = Progress.finalAvailableAt(subject, level, rules.cooldownHours * 3600 * 1000);
+    const href = `practice.html?subject=${encodeURIComponent(subject)}` +
+        `&level=${encodeURIComponent(level)}&source=final`;
+    // An attempt in progress started the cooldown — the engine lets its draft back in
+    const ttlHours = config.draft?.expireAfterHours ?? 24;
+    const inProgress = ttlHours > 0 && !!Progress.getDraft(subject, level, 'final', ttlHours * 3600 * 1000);
+
+    const action = inProgress
+        ? `<a href="${href}"
+              class="block w-full py-2.5 rounded-xl text-center font-black text-xs uppercase tracking-widest
+                     transition-all duration-200 active:scale-95 bg-emerald-600 hover:bg-emerald-500 text-white">
+               Resume Final Exam
+           </a>`
+        : opensAt
+        ? `<div class="w-full py-2.5 rounded-xl border border-slate-800 text-center
+                       text-[10px] font-black uppercase tracking-widest text-slate-500">
+               Next attempt ${escapeHTML(new Date(opensAt).toLocaleString('en-US', {
+            weekday: 'short', hour: 'numeric', minute: '2-digit'
+        }))}
+           </div>`
+        : `<a href="${href}"
+              class="block w-full py-2.5 rounded-xl text-center font-black text-xs uppercase tracking-widest
+                     transition-all duration-200 active:scale-95
+                     ${record?.passed
+            ? 'bg-slate-800 hover:bg-slate-700 text-white border border-slate-700'
+            : 'bg-yellow-500 hover:bg-yellow-400 text-black'}">
+               ${record?.attempts ? 'Retake Final Exam' : 'Take Final Exam'}
+           </a>`;
+
+    return `
+        <div class="bg-slate-900 border ${record?.passed ? 'border-yellow-500/40' : 'border-slate-800/80'}
+                    rounded-2xl p-5 space-y-4 shadow-sm">
+            <div class="flex items-center justify-between gap-2">
+                <div class="text-[10px] text-slate-500 font-black tracking-widest uppercase">Final Exam</div>
+                ${record?.passed
+            ? `<span class="px-2 py-0.5 rounded text-[9px] font-black uppercase tracking-widest
+                            bg-yellow-500 text-black">Certified</span>`
+            : `<span class="px-2 py-0.5 rounded text-[9px] font-black uppercase tracking-widest
+                            bg-slate-800 text-slate-500 border border-slate-700">Not certified</span>`}
+            </div>
+            <p class="text-[11px] text-slate-500 font-medium leading-relaxed">
+                ${rules.questions} questions from the whole level, timed, answers shown at the end.
+                Score <span class="text-yellow-400 font-black">${rules.passMark}%</span> to certify —
+                one attempt every ${rules.cooldownHours} hours.
+            </p>
+            ${record?.attempts ? `
+            <div class="flex flex-wrap items-center gap-x-3 gap-y-0.5
+                        text-[10px] font-bold text-slate-500 uppercase tracking-widest">
+                <span>Best ${record.best}%</span>
+                <span class="opacity-30">·</span>
+                <span>${record.attempts} attempt${record.attempts !== 1 ? 's' : ''}</span>
+            </div>` : ''}
+            ${action}
+        </div>`;
+}
+
 // ── tiny helpers ─────────────────────────────────────────────────
 function _set(id, val) {
     const el = document.getElementById(id);
@@ -135,7 +135,7 @@ export async function logout() {
     // Clear all cached data (sessionStorage + localStorage)
     try {
         const { Progress } = await import('./progress.js');
-        Progress.clearAllSessionData();
+        await Progress.clearAllSessionData();
     } catch { /* fallback manual clear below */ }
     _clearLocalSession();
     _redirectToLogin();
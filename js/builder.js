@@ -0,0 +1,138 @@
+// ================================================================
+// student-panel/js/builder.js
+// Drives builder.html — pick subjects, levels and a question count,
+// then practice.html draws a random selection from the set.json pools.
+// ================================================================
+
+import { Progress } from './progress.js';
+import { checkAuth } from './auth-guard.js';
+import { SUBJECTS, LEVEL_ORDER as LEVELS, LEVEL_LABEL, escapeHTML } from './app.js';
+
+// ── Authentication guard ────────────────────────────────────────
+await checkAuth();
+
+// ── Tailwind extension ──────────────────────────────────────────
+if (typeof tailwind !== 'undefined') {
+    tailwind.config = {
+        theme: {
+            extend: {
+                fontFamily: { sans: ['Inter', 'sans-serif'] },
+                colors: {
+                    gold: { 400: '#FACC15', 500: '#EAB308', 600: '#CA8A04' },
+                    slate: { 850: '#1a2234', 900: '#0f172a', 950: '#020617' }
+                }
+            }
+        }
+    };
+}
+
+// ── Helpers ─────────────────────────────────────────────────────
+const esc = escapeHTML;
+const COUNTS = [10, 20, 30, 50];
+const DEFAULT_COUNT = 20;
+
+/** A toggle chip: a visually hidden input styled through `peer-checked` */
+function _chip(type, name, value, label, checked = false) {
+    return `
+    <label class="cursor-pointer select-none">
+        <input type="${type}" name="${name}" value="${esc(value)}" class="peer sr-only" ${checked ? 'checked' : ''}>
+        <span class="inline-block px-3.5 py-2 rounded-lg border border-slate-800 bg-slate-950/60
+                     text-[10px] font-black uppercase tracking-widest text-slate-400 transition-all
+                     hover:border-yellow-500/40 peer-checked:border-yellow-500 peer-checked:bg-yellow-500/10
+                     peer-checked:text-yellow-400 peer-focus-visible:ring-2 peer-focus-visible:ring-yellow-500/50">
+            ${esc(label)}
+        </span>
+    </label>`;
+}
+
+function _checked(form, name) {
+    return [...form.querySelectorAll(`input[name="${name}"]:checked`)].map(i => i.value);
+}
+
+// ── Init ─────────────────────────────────────────────────────────
+document.addEventListener('DOMContentLoaded', async () => {
+    const form = document.getElementById('builder-form');
+    if (!form) return;
+
+    // Online subjects only, in dashboard order
+    const configResults = await Promise.allSettled(
+        SUBJECTS.map(sub =>
+            import(`../data/${sub}/std-config.js`)
+                .then(mod => ({ id: sub, ...mod.default }))
+        )
+    );
+    const available = configResults
+        .filter(r => r.status === 'fulfilled' && r.value.status !== 'offline')
+        .map(r => r.value)
+        .sort((a, b) => (a.order || 99) - (b.order || 99));
+    const titles = Object.fromEntries(available.map(c => [c.id, c.title || c.id.replace(/-/g, ' ')]));
+
+    document.getElementById('builder-subjects').innerHTML = available.length
+        ? available.map((c, i) => _chip('checkbox', 'subject', c.id, titles[c.id], i === 0)).join('')
+        : `<span class="text-slate-600 font-bold text-[10px] uppercase tracking-widest">No subjects available.</span>`;
+    document.getElementById('builder-levels').innerHTML =
+        LEVELS.map(l => _chip('checkbox', 'level', l, LEVEL_LABEL[l] || l, l === 'high')).join('');
+    document.getElementById('builder-counts').innerHTML =
+        COUNTS.map(n => _chip('radio', 'count', String(n), `${n} questions`, n === DEFAULT_COUNT)).join('');
+
+    const startBtn = document.getElementById('builder-start');
+    const hint = document.getElementById('builder-hint');
+    const refresh = () => {
+        const ok = _checked(form, 'subject').length > 0 && _checked(form, 'level').length > 0;
+        startBtn.disabled = !ok;
+        hint.textContent = ok ? '' : 'Pick at least one subject and one level';
+    };
+    form.addEventListener('change', refresh);
+    refresh();
+
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        const subjects = _checked(form, 'subject');
+        const levels = _checked(form, 'level');
+        if (!subjects.length || !levels.length) return;
+        const count = _checked(form, 'count')[0] || DEFAULT_COUNT;
+        window.location.href = `practice.html?subject=${encodeURIComponent(subjects[0])}` +
+            `&source=custom&subjects=${encodeURIComponent(subjects.join(','))}` +
+            `&levels=${encodeURIComponent(levels.join(','))}&count=${count}`;
+    });
+
+    _renderHistory(titles);
+});
+
+function _renderHistory(titles) {
+    const list = document.getElementById('builder-history');
+    if (!list) return;
+
+    const history = Progress.getCustomResults().slice(0, 10);
+    if (history.length === 0) {
+        list.innerHTML = `
+        <div class="text-center py-8 bg-slate-900/50 rounded-2xl border border-slate-800/60">
+            <p class="text-slate-600 font-bold text-[10px] uppercase tracking-widest">
+                No custom quizzes yet — your results show up here.
+            </p>
+        </div>`;
+        return;
+    }
+
+    list.innerHTML = history.map((r, i) => {
+        const color = r.percentage >= 80 ? 'text-emerald-400'
+            : r.percentage >= 50 ? 'text-yellow-400' : 'text-red-400';
+        const subjects = r.subjects.map(s => titles[s] || s.replace(/-/g, ' ')).join(', ');
+        const levels = r.levels.map(l => LEVEL_LABEL[l] || l).join(' + ');
+        return `
+        <div class="flex items-center gap-4 px-4 py-3 bg-slate-900 border border-slate-800/80 rounded-xl animate-enter"
+             style="animation-delay:${i * 40}ms">
+            <div class="flex-1 min-w-0">
+                <p class="text-sm font-bold text-white truncate">${esc(subjects)}</p>
+                <p class="text-[9px] font-bold uppercase tracking-widest text-slate-500 mt-1 truncate">
+                    ${esc(levels)}
+                    <span class="opacity-30 mx-1">•</span>
+                    ${r.score}/${r.total}
+                    <span class="opacity-30 mx-1">•</span>
+                    ${esc(r.date)}
+                </p>
+            </div>
+            <span class="shrink-0 text-lg font-black ${color}">${r.percentage}%</span>
+        </div>`;
+    }).join('');
+}
@@ -0,0 +1,162 @@
+// ================================================================
+// student-panel/js/charts.js
+// Small SVG charts built as markup strings — no chart library, nothing
+// fetched. The sparkline draws in `currentColor` (a Tailwind text colour
+// on its parent styles it); week charts take their colours explicitly.
+// ================================================================
+
+// Series colours, in order — yellow, blue, emerald, pink, violet, orange
+export const SERIES_COLORS = ['#FACC15', '#60A5FA', '#34D399', '#F472B6', '#A78BFA', '#FB923C'];
+
+// Week charts share one coordinate box; the SVG scales to its container
+const W = 320, H = 150;
+const PAD = { top: 10, right: 10, bottom: 22, left: 34 };
+const PLOT_W = W - PAD.left - PAD.right;
+const PLOT_H = H - PAD.top - PAD.bottom;
+const GRID = '#1e293b';   // slate-800
+const INK = '#64748b';    // slate-500
+
+function _esc(str) {
+    return String(str).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/** Round an axis maximum up to 1, 2 or 5 × a power of ten */
+function _niceMax(v) {
+    if (!(v > 0)) return 1;
+    const p = 10 ** Math.floor(Math.log10(v));
+    return [1, 2, 5, 10].map(m => m * p).find(m => m >= v);
+}
+
+const _y = (v, max) => PAD.top + PLOT_H - (Math.min(v, max) / max) * PLOT_H;
+
+/** Gridlines with y labels at 0, half and max, and up to six x labels */
+function _axes(labels, max, unit, x) {
+    const fmt = v => `${Math.round(v * 10) / 10}${unit}`;
+    const grid = [0, max / 2, max].map(v => `
+        <line x1="${PAD.left}" x2="${W - PAD.right}" y1="${_y(v, max)}" y2="${_y(v, max)}"
+              stroke="${GRID}" stroke-width="1"/>
+        <text x="${PAD.left - 5}" y="${_y(v, max) + 3}" text-anchor="end"
+              font-size="8" font-weight="700" fill="${INK}">${fmt(v)}</text>`).join('');
+    const step = Math.ceil(labels.length / 6);
+    const ticks = labels.map((l, i) => i % step && i !== labels.length - 1 ? '' : `
+        <text x="${x(i).toFixed(1)}" y="${H - 6}" text-anchor="middle"
+              font-size="8" font-weight="700" fill="${INK}">${_esc(l)}</text>`).join('');
+    return grid + ticks;
+}
+
+function _svg(label, body) {
+    return `
+        <svg viewBox="0 0 ${W} ${H}" class="block w-full h-auto" role="img" aria-label="${_esc(label)}">
+            ${body}
+        </svg>`;
+}
+
+/**
+ * Sparkline of 0–100 scores, oldest first; a single score is one dot.
+ * `mark` draws a dashed reference line (e.g. the pass mark) and `label`
+ * is the accessible name — the chart is announced as one image.
+ */
+export function sparkline(values, { width = 84, height = 24, mark = null, label = '' } = {}) {
+    if (!values.length) return '';
+    const pad = 3;
+    const x = i => values.length === 1 ? width / 2 : pad + (i * (width - 2 * pad)) / (values.length - 1);
+    const y = v => pad + (1 - Math.max(0, Math.min(100, v)) / 100) * (height - 2 * pad);
+    const points = values.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`);
+    const [lastX, lastY] = points[points.length - 1].split(',');
+
+    return `
+        <svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}"
+             role="img" aria-label="${_esc(label)}" class="shrink-0 overflow-visible">
+            ${mark !== null ? `
+            <line x1="0" x2="${width}" y1="${y(mark).toFixed(1)}" y2="${y(mark).toFixed(1)}"
+                  stroke="currentColor" stroke-opacity="0.25" stroke-width="1" stroke-dasharray="2 2"/>` : ''}
+            ${values.length > 1 ? `
+            <polyline points="${points.join(' ')}" fill="none" stroke="currentColor"
+                      stroke-width="1.5" stroke-linejoin="round" stroke-linecap="round"/>` : ''}
+            <circle cx="${lastX}" cy="${lastY}" r="2.5" fill="currentColor"/>
+        </svg>`;
+}
+
+/**
+ * Line chart over shared x `labels`. `series` is [{ name, color, values }]
+ * with a value (or null for no data) per label; each line joins the points
+ * it has. `max` fixes the y axis (scores use 100), otherwise it fits.
+ */
+export function lineChart(series, labels, { max = null, unit = '', label = '' } = {}) {
+    const all = series.flatMap(s => s.values).filter(v => v !== null);
+    const top = max ?? _niceMax(Math.max(0, ...all));
+    const x = i => labels.length === 1 ? PAD.left + PLOT_W / 2 : PAD.left + (i * PLOT_W) / (labels.length - 1);
+
+    const lines = series.map(s => {
+        const pts = s.values
+            .map((v, i) => v === null ? null : [x(i).toFixed(1), _y(v, top).toFixed(1)])
+            .filter(Boolean);
+        return `
+            ${pts.length > 1 ? `
+            <polyline points="${pts.map(p => p.join(',')).join(' ')}" fill="none" stroke="${s.color}"
+                      stroke-width="2" stroke-linejoin="round" stroke-linecap="round"/>` : ''}
+            ${pts.map(([cx, cy]) => `<circle cx="${cx}" cy="${cy}" r="2.5" fill="${s.color}"/>`).join('')}`;
+    }).join('');
+
+    return _svg(label, _axes(labels, top, unit, x) + lines);
+}
+
+/** Bar chart, one bar per x label */
+export function barChart(values, labels, { color = SERIES_COLORS[0], unit = '', label = '' } = {}) {
+    const top = _niceMax(Math.max(0, ...values));
+    const band = PLOT_W / labels.length;
+    const x = i => PAD.left + band * (i + 0.5);
+    const barW = Math.max(2, band * 0.6);
+
+    const bars = values.map((v, i) => v > 0 ? `
+        <rect x="${(x(i) - barW / 2).toFixed(1)}" y="${_y(v, top).toFixed(1)}"
+              width="${barW.toFixed(1)}" height="${(PAD.top + PLOT_H - _y(v, top)).toFixed(1)}"
+              rx="1.5" fill="${color}"/>` : '').join('');
+
+    return _svg(label, _axes(labels, top, unit, x) + bars);
+}
+
+/** Colour key for a multi-series chart */
+export function chartLegend(series) {
+    return `
+        <ul class="flex flex-wrap gap-x-4 gap-y-1 mt-3">
+            ${series.map(s => `
+            <li class="flex items-center gap-1.5 text-[9px] font-bold uppercase tracking-widest text-slate-400">
+                <span class="w-2.5 h-2.5 rounded-sm shrink-0" style="background:${_esc(s.color)}"></span>
+                ${_esc(s.name)}
+            </li>`).join('')}
+        </ul>`;
+}
+
+/**
+ * The same numbers as a table, in a collapsed "Show as table" panel — the
+ * text alternative for a chart. `rows` hold plain values; the first column
+ * is the row header.
+ */
+export function chartTable(caption, headers, rows) {
+    return `
+        <details class="mt-3">
+            <summary class="cursor-pointer select-none list-none text-[9px] font-black uppercase
+                            tracking-widest text-slate-500 hover:text-slate-300 transition-colors">
+                Show as table
+            </summary>
+            <div class="overflow-x-auto mt-2">
+                <table class="w-full text-left text-[10px] font-bold text-slate-400">
+                    <caption class="sr-only">${_esc(caption)}</caption>
+                    <thead>
+                        <tr class="text-[9px] uppercase tracking-widest text-slate-500">
+                            ${headers.map(h => `<th scope="col" class="py-1 pr-3 font-black">${_esc(h)}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-slate-800/60">
+                        ${rows.map(r => `
+                        <tr>
+                            ${r.map((c, i) => i === 0
+                                ? `<th scope="row" class="py-1 pr-3 font-bold text-slate-300">${_esc(c)}</th>`
+                                : `<td class="py-1 pr-3">${_esc(c)}</td>`).join('')}
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+        </details>`;
+}
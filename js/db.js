@@ -0,0 +1,84 @@
+// ================================================================
+// student-panel/js/db.js
+// Minimal IndexedDB key-value store behind progress.js. No call ever
+// rejects — a failure resolves false/undefined so the caller can fall
+// back to localStorage.
+// ================================================================
+
+const DB_NAME = 'grammarhub';
+const DB_VERSION = 1;
+const STORE = 'kv';
+// A connection blocked by another tab's upgrade must not hold the page
+const OPEN_TIMEOUT_MS = 3000;
+
+let _db = null;
+let _opening = null;
+
+/** Run one request in its own transaction → its result, or `fallback` on error */
+function _request(mode, fallback, make) {
+    if (!_db) return Promise.resolve(fallback);
+    return new Promise(resolve => {
+        try {
+            const tx = _db.transaction(STORE, mode);
+            const req = make(tx.objectStore(STORE));
+            // Writes count once the transaction commits, not when the request succeeds
+            if (mode === 'readwrite') tx.oncomplete = () => resolve(true);
+            else req.onsuccess = () => resolve(req.result);
+            tx.onerror = tx.onabort = () => resolve(fallback);
+        } catch {
+            resolve(fallback);
+        }
+    });
+}
+
+export const DB = {
+
+    /**
+     * Open the database once → true when IndexedDB is usable. A failed open
+     * is tried again on the next call — it may only have been slow.
+     */
+    open() {
+        if (_opening) return _opening;
+        _opening = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') return resolve(false);
+            let settled = false;
+            const done = ok => {
+                if (settled) return false;
+                settled = true;
+                clearTimeout(timer);
+                resolve(ok);
+                return true;
+            };
+            const timer = setTimeout(() => done(false), OPEN_TIMEOUT_MS);
+            try {
+                const req = indexedDB.open(DB_NAME, DB_VERSION);
+                req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+                req.onsuccess = () => {
+                    // Too late — the page already fell back to localStorage
+                    if (!done(true)) return req.result.close();
+                    _db = req.result;
+                    // Another tab upgrading the schema — let it, this page reloads later
+                    _db.onversionchange = () => { _db.close(); _db = null; };
+                };
+                req.onerror = req.onblocked = () => done(false);
+            } catch {
+                done(false);   // e.g. storage disabled in private browsing
+            }
+        });
+        _opening.then(ok => { if (!ok) _opening = null; });
+        return _opening;
+    },
+
+    /** The stored value — undefined when the key is absent, null when the read failed */
+    get(key) {
+        return _request('readonly', null, store => store.get(key));
+    },
+
+    set(key, value) {
+        return _request('readwrite', false, store => store.put(value, key));
+    },
+
+    remove(key) {
+        return _request('readwrite', false, store => store.delete(key));
+    }
+};
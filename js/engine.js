@@ -1,67 +1,324 @@
 // ================================================================
 // student-panel/js/engine.js
-// Drives practice.html — handles MCQ + Fill engines in student mode.
+// Drives practice.html — handles MCQ, Fill, Typed, Error-spotting and
+// Reorder engines in student mode.
 // Imported by practice.html via <script type="module">
 // ================================================================
 
 import {
-    getParams, startTimer, stopTimer,
-    updateHeaderProgress, fireConfetti, stagger, escapeHTML
+    getParams, getCustomSpec, LEVEL_ORDER, LEVEL_LABEL, startTimer, startCountdown, stopTimer, elapsedTimer,
+    updateHeaderProgress, fireConfetti, stagger, escapeHTML, formatText, plainText, resolveDataPath
 } from './app.js';
 import { Progress } from './progress.js';
 import { API } from '../backend/api.js';
 
 // ── Utilities ────────────────────────────────────────────────────
 
-/** Fisher-Yates (Knuth) shuffle — unbiased, in-place */
-function shuffle(arr) {
+/** Fisher-Yates (Knuth) shuffle — unbiased, in-place; `rand` returns [0, 1) */
+function shuffle(arr, rand = Math.random) {
     for (let i = arr.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(rand() * (i + 1));
         [arr[i], arr[j]] = [arr[j], arr[i]];
     }
     return arr;
 }
 
+/** 32-bit FNV-1a hash of a string */
+function _hash(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/**
+ * Seeded PRNG (mulberry32) — the same key always yields the same sequence,
+ * so an attempt's seed replays its question draw and option order.
+ */
+function _rng(key) {
+    let a = _hash(String(key));
+    return () => {
+        a = (a + 0x6d2b79f5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/** New attempt seed — short enough to read out to a class */
+function _newSeed() {
+    return Math.random().toString(36).slice(2, 8).padEnd(6, '0');
+}
+
+/**
+ * Normalise an image reference → { src, alt } or null. A bare string is a
+ * src; `fallbackAlt` stands in when the image carries no alt text.
+ */
+function _imageOf(img, fallbackAlt = '') {
+    const ref = typeof img === 'string' ? { src: img } : img;
+    if (!ref || !_isText(ref.src)) return null;
+    const alt = _isText(ref.alt) ? ref.alt.trim() : fallbackAlt;
+    return _isText(alt) ? { src: ref.src.trim(), alt } : null;
+}
+
+/** True for a non-empty string */
+function _isText(v) {
+    return typeof v === 'string' && v.trim().length > 0;
+}
+
+/** Blank markers in a sentence: ____ , ... or … */
+const BLANK_RE = /_{2,}|\.{3,}|…/g;
+
+/** Option-based question: { q, options[], answer } — used by mcq + fill */
+function _isValidChoice(q) {
+    return Array.isArray(q.options) && q.options.length >= 2 &&
+        typeof q.answer === 'number' &&
+        Number.isInteger(q.answer) &&
+        q.answer >= 0 &&
+        q.answer < q.options.length;
+}
+
+/**
+ * Fill question: either a single blank { q, options[], answer } or several
+ * { q, blanks: [{ options[], answer }, …], partialCredit? } where the
+ * sentence holds at least one blank marker per entry in `blanks`.
+ */
+function _isValidFill(q) {
+    if (!Array.isArray(q.blanks)) return _isValidChoice(q);
+    return q.blanks.length > 0 &&
+        q.blanks.every(b => b && _isValidChoice(b)) &&
+        (q.q.match(BLANK_RE) || []).length >= q.blanks.length;
+}
+
+/**
+ * Typed question: { q, accepted[] }. Falls back to the correct option of
+ * an option-based question so existing sets can be played as typed.
+ */
+function _isValidTyped(q) {
+    if (Array.isArray(q.accepted)) return q.accepted.some(_isText);
+    return _isValidChoice(q) && _isText(q.options[q.answer]);
+}
+
+/**
+ * Error-spotting question: { q, error, correction?, segments? }.
+ * `segments` optionally splits the sentence into tappable phrases; without
+ * it every whitespace-separated word is a segment. `error` is the index of
+ * the wrong segment, or its text (punctuation and case ignored). Segments
+ * are plain text — formatting tags are dropped.
+ */
+function _isValidSpot(q) {
+    return _spotErrorIdx(q, _spotSegments(q)) !== -1;
+}
+
+function _spotSegments(q) {
+    if (Array.isArray(q.segments) && q.segments.length >= 2 && q.segments.every(_isText)) {
+        return q.segments.map(t => plainText(t).trim());
+    }
+    return plainText(q.q).trim().split(/\s+/);
+}
+
+function _spotErrorIdx(q, segments) {
+    if (Number.isInteger(q.error)) {
+        return q.error >= 0 && q.error < segments.length ? q.error : -1;
+    }
+    if (!_isText(q.error)) return -1;
+    const bare = t => normalizeAnswer(t).replace(/^[^\w']+|[^\w']+$/g, '');
+    return segments.findIndex(t => bare(t) === bare(q.error));
+}
+
+/**
+ * Reorder question: { q, tokens[], accepted? }. `q` is the instruction,
+ * `tokens` the words/phrases in their correct order; `accepted` optionally
+ * lists alternative correct orders (token arrays or plain sentences).
+ */
+function _isValidOrder(q) {
+    return Array.isArray(q.tokens) && q.tokens.length >= 2 && q.tokens.every(_isText);
+}
+
+/**
+ * Stable question ID: the question's own `id` when it has one, otherwise a
+ * hash of its content (FNV-1a). Only what the student answers counts —
+ * editing an explanation or rule keeps the ID, rewording the question
+ * gives it a new one.
+ */
+function questionId(q) {
+    if (_isText(q.id) || Number.isInteger(q.id)) return String(q.id).trim();
+    const content = JSON.stringify([
+        q.q.trim(), q.options, q.answer, q.blanks, q.tokens, q.accepted, q.segments, q.error
+    ]);
+    return 'q' + _hash(content).toString(16).padStart(8, '0');
+}
+
 /**
  * Validate a raw questions array from JSON.
  * Filters out malformed entries and returns only valid questions.
+ * Each question is validated for its engine — its own `engine` field if it
+ * names a known engine, otherwise the subject's default engine.
+ * Optional `explanation` / `rule` / `hint` fields are kept only when they are
+ * non-empty strings — older sets without them keep working unchanged.
+ * An `image` ({ src, alt }) is kept only with alt text; `optionImages` lines
+ * up with `options` (null for a text-only option) and falls back to the
+ * option text as alt.
+ * Every question gets an `id` (see questionId); duplicates are reported
+ * and the later copies suffixed (-2, -3 …) so IDs stay unique in the set.
  */
-function validateQuestions(raw) {
+function validateQuestions(raw, defaultEngine = 'mcq') {
     if (!Array.isArray(raw)) return [];
+    const seen = new Map();
     return raw.filter(q =>
         q &&
         typeof q.q === 'string' && q.q.trim().length > 0 &&
-        Array.isArray(q.options) && q.options.length >= 2 &&
-        typeof q.answer === 'number' &&
-        Number.isInteger(q.answer) &&
-        q.answer >= 0 &&
-        q.answer < q.options.length
-    );
+        ENGINES[_engineOf(q, defaultEngine)].valid(q)
+    ).map(q => {
+        const item = { ...q, engine: _engineOf(q, defaultEngine), id: questionId(q) };
+        const copies = (seen.get(item.id) || 0) + 1;
+        seen.set(item.id, copies);
+        if (copies > 1) {
+            console.warn(`[Engine] Duplicate question id "${item.id}" ("${item.q.trim().slice(0, 40)}") — using "${item.id}-${copies}"`);
+            item.id = `${item.id}-${copies}`;
+        }
+        if (item.engine === 'type') {
+            item.accepted = (Array.isArray(q.accepted) ? q.accepted.filter(_isText) : [q.options[q.answer]])
+                .map(plainText);
+        }
+        if (item.engine === 'order') {
+            const alts = Array.isArray(q.accepted) ? q.accepted : [];
+            item.tokens = q.tokens.map(t => plainText(t).trim());
+            item.accepted = [
+                item.tokens.join(' '),
+                ...alts.map(a => Array.isArray(a) && a.every(_isText) ? a.join(' ') : a).filter(_isText)
+            ];
+        }
+        if (item.engine === 'spot') {
+            item.segments = _spotSegments(q);
+            item.errorIdx = _spotErrorIdx(q, item.segments);
+            if (!_isText(item.correction)) delete item.correction;
+        }
+        if (!_isText(item.explanation)) delete item.explanation;
+        if (!_isText(item.rule)) delete item.rule;
+        if (!_isText(item.hint)) delete item.hint;
+        item.image = _imageOf(q.image);
+        if (!item.image) {
+            if (q.image) console.warn(`[Engine] Image without alt text dropped ("${item.q.trim().slice(0, 40)}")`);
+            delete item.image;
+        }
+        if (Array.isArray(q.optionImages) && Array.isArray(q.options)) {
+            item.optionImages = q.options.map((text, i) => _imageOf(q.optionImages[i], text));
+        } else {
+            delete item.optionImages;
+        }
+        return item;
+    });
+}
+
+function _engineOf(q, defaultEngine) {
+    return ENGINES[q.engine] ? q.engine : (ENGINES[defaultEngine] ? defaultEngine : 'mcq');
+}
+
+/**
+ * Normalise a typed answer for comparison: formatting tags dropped,
+ * case-insensitive, curly quotes and apostrophes folded to straight ones
+ * ("Don’t" → "don't"), runs of whitespace collapsed.
+ */
+function normalizeAnswer(str) {
+    return plainText(str)
+        .replace(/[\u2018\u2019\u201B\u02BC\u0060\u00B4]/g, "'")
+        .replace(/[\u201C\u201D\u201F]/g, '"')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
 }
 
 // ── State ────────────────────────────────────────────────────────
 let questions = [];
-let answers = {};   // MCQ: { idx: optBtnIndex }   Fill: { idx: { text, isCorrect } }
-let engineType = 'mcq';
+let answers = {};   // MCQ: { idx: optBtnIndex }   Spot: { idx: segmentIndex }
+                    // Fill / Type: { idx: { text, isCorrect } }
+                    // Multi-blank fill: { idx: { picks: [{ text, isCorrect } | null, …] } }
+                    // Reorder: { idx: { order: [tokenIndex, …] } }
+let engineType = 'mcq';   // subject default — each question carries its own `engine`
 let submitted = false;   // re-submission guard
+let exam = null;         // exam mode: { limit, warnAt[], warned: Set, startedAt }
+let learn = false;       // learn mode: reveal each answer as soon as it is given
+let revealed = {};       // learn mode: { idx: score } for questions already revealed
+let layout = {};         // shuffled option order: { idx: [[origIdx…], …] } — one list per blank
+let draftSlot = null;    // { subject, level, set, mode } once the attempt may be saved as a draft
+let clearAfter = 2;      // correct answers in a row that take a question out of the mistake notebook
+let finalRules = null;   // final exam: { questions, passMark, cooldownHours }
+let seed = '';           // attempt seed: drives the question draw and every option order
+let redraw = null;       // custom quiz: draws its questions again for a new seed
+let telemetry = {};      // per question: { first, dwell, changes } — see _track
+let lastMark = 0;        // Date.now() of the last answer anywhere in the set
+let confidence = {};     // optional self-rating: { idx: 'sure' | 'guess' }
+let hinted = {};         // { idx: true } for questions whose hint was opened
+let hintWorth = 0.5;     // points for a correct answer after a hint
+let retryOf = null;      // retry round: { percent } of the attempt whose wrong answers are retried
+
+// ── Engine registry ──────────────────────────────────────────────
+// valid(q)                     → accept a raw question for this engine
+// render(container, item, idx) → append the question card
+// reveal(card, idx, item)      → lock + colour the card, return 1 / 0
+// restore(card, idx, item, ans) → re-apply a saved answer from a draft
+// instant                      → answered in one tap, so learn mode can
+//                                reveal it straight away
+const ENGINES = {
+    mcq: { valid: _isValidChoice, render: _renderMCQ, reveal: _revealMCQ, restore: _restoreMCQ, instant: true },
+    fill: { valid: _isValidFill, render: _renderFill, reveal: _revealFill, restore: _restoreFill, instant: true },
+    type: { valid: _isValidTyped, render: _renderType, reveal: _revealType, restore: _restoreType },
+    spot: { valid: _isValidSpot, render: _renderSpot, reveal: _revealSpot, restore: _restoreSpot, instant: true },
+    order: { valid: _isValidOrder, render: _renderOrder, reveal: _revealOrder, restore: _restoreOrder }
+};
 
 // ================================================================
 // INIT
 // ================================================================
 async function init() {
-    const { subject, level, set } = getParams();
+    const { subject, level, set, mode, source, seed: paperSeed } = getParams();
+    const spec = source === 'custom' ? getCustomSpec() : null;
+    // Review rounds and custom quizzes mix levels — level settings don't apply
+    const crossLevel = source === 'review' || source === 'custom';
 
     /* ── Load engine type + subject title from config ─────── */
     let subjectTitle = subject.replace(/-/g, ' ');
+    let config = {};
     try {
         const mod = await import(`../data/${subject}/std-config.js`);
-        engineType = mod.default.engine || 'mcq';
-        subjectTitle = mod.default.title || subjectTitle;
+        config = mod.default;
+        engineType = config.engine || 'mcq';
+        subjectTitle = config.title || subjectTitle;
     } catch { /* default mcq */ }
+    clearAfter = config.mistakes?.clearAfter || 2;
+    hintWorth = config.hints?.worth ?? 0.5;
+    const reviewSize = config.review?.sessionSize || 20;
+    const ttlHours = config.draft?.expireAfterHours ?? 24;
+    finalRules = { questions: 30, passMark: 80, cooldownHours: 24, ...config.final };
+    if (source === 'custom') subjectTitle = 'Custom Quiz';
+
+    /* ── Exam mode: ?mode=exam, a level with a timeLimit, or a final ── */
+    /* ── Learn mode: ?mode=learn, or a level with mode 'learn' ─ */
+    // A level's timeLimit can't be lifted from the URL — it always runs timed
+    const isFinal = source === 'final';
+    const levelCfg = crossLevel ? {} : config.levels?.[level] || {};
+    const levelLimit = isFinal ? 0 : levelCfg.timeLimit;
+    learn = !isFinal && !(levelLimit > 0) &&
+        (mode === 'learn' || (mode !== 'exam' && levelCfg.mode === 'learn'));
+    if (!learn && (isFinal || mode === 'exam' || levelLimit > 0)) {
+        exam = {
+            limit: levelLimit > 0 ? levelLimit : 0,   // 0 → derived from question count
+            perQuestion: config.exam?.secondsPerQuestion || 60,
+            warnAt: config.exam?.warnAt || [120, 30],
+            warned: new Set()
+        };
+    }
 
     const LEVEL_ABBR = { preprimary: 'PP', primary: 'P', middle: 'M', high: 'H' };
-    const levelAbbr = LEVEL_ABBR[level] || level.charAt(0).toUpperCase();
-    const levelLabel = level.charAt(0).toUpperCase() + level.slice(1);
+    const levelAbbr = crossLevel ? 'MIX' : LEVEL_ABBR[level] || level.charAt(0).toUpperCase();
+    const levelLabel = spec ? spec.levels.map(l => LEVEL_LABEL[l]).join(' + ')
+        : source === 'review' ? 'All Levels'
+        : level.charAt(0).toUpperCase() + level.slice(1);
+    // Generated sets are labelled by source instead of a set number
+    const SOURCE_LABEL = { mistakes: 'My Mistakes', review: 'Review', custom: 'Custom', final: 'Final Exam' };
 
     /* ── Inject custom practice header ─────────────────────── */
     const mount = document.getElementById('header-mount');
@@ -72,7 +329,7 @@ async function init() {
             day: 'numeric', month: 'short', year: 'numeric'
         }).toUpperCase();
 
-        const setPad = String(set).padStart(2, '0');
+        const setPad = SOURCE_LABEL[source] || String(set).padStart(2, '0');
 
         mount.innerHTML = `
         <header class="w-full bg-[#0b1120]
@@ -110,7 +367,11 @@ async function init() {
                                   uppercase tracking-[.15em] mt-1 leading-none truncate">
                             ${escapeHTML(levelLabel)}
                             <span class="text-slate-700 mx-1">·</span>
-                            Set&nbsp;${setPad}
+                            ${SOURCE_LABEL[source]?.replace(' ', '&nbsp;') || `Set&nbsp;${setPad}`}
+                            ${exam ? `<span class="text-slate-700 mx-1">·</span>
+                            <span class="text-red-400">Exam</span>` : ''}
+                            ${learn ? `<span class="text-slate-700 mx-1">·</span>
+                            <span class="text-emerald-400">Learn</span>` : ''}
                         </p>
                     </div>
                 </div>
@@ -131,8 +392,18 @@ async function init() {
                     <!-- Divider — desktop only -->
                     <div class="hdr-divider hidden md:block w-px h-7 bg-slate-800 rounded-full"></div>
 
+                    <!-- Running score — learn mode only -->
+                    ${learn ? `
+                    <div class="flex items-center gap-2 px-3 py-2 bg-slate-900
+                                border border-emerald-900/60 rounded-xl">
+                        <span class="text-[9px] font-black text-emerald-500/80 uppercase tracking-widest">Score</span>
+                        <span id="engine-score"
+                              class="text-sm font-mono font-black text-emerald-400 tabular-nums">0/0</span>
+                    </div>` : ''}
+
                     <!-- Timer pill -->
-                    <div class="hdr-timer-pill flex items-center gap-2
+                    <div id="engine-timer-pill"
+                         class="hdr-timer-pill flex items-center gap-2
                                 px-3 py-2 bg-slate-900
                                 border border-slate-800 rounded-xl">
                         <svg class="w-3.5 h-3.5 text-emerald-500/70 shrink-0"
@@ -160,7 +431,7 @@ async function init() {
 
         </header>`;
 
-        startTimer('engine-timer');
+        // The clock starts in _start(), once any draft has been resumed
 
         // ── Compact header on scroll (mobile only) ──────────
         const stickyWrap = document.getElementById('sticky-header-wrap');
@@ -197,10 +468,60 @@ async function init() {
 
     /* ── Fetch question set ──────────────────────────────────── */
     try {
-        const res = await fetch(`data/${encodeURIComponent(subject)}/${encodeURIComponent(level)}/set${encodeURIComponent(set)}.json`);
-        if (!res.ok) throw new Error(`Set ${set} not found (HTTP ${res.status})`);
-        const raw = await res.json();
-        questions = validateQuestions(raw);
+        /* ── An unfinished attempt keeps its seed; ?seed= replays a paper ── */
+        // A custom quiz's draft belongs to its exact spec, not to every custom quiz
+        const slot = {
+            subject, level,
+            set: source === 'set' ? set
+                : source === 'custom' && spec ? `custom-${_hash(JSON.stringify(spec)).toString(36)}`
+                    : source,
+            mode: exam ? 'exam' : learn ? 'learn' : 'practice'
+        };
+        const draft = ttlHours > 0
+            ? Progress.getDraft(subject, level, slot.set, ttlHours * 3600 * 1000)
+            : null;
+        // Any paper replays except a final exam's — picking one from the URL
+        // would get round its cooldown with a paper already marked
+        const replaySeed = isFinal ? '' : paperSeed;
+        seed = replaySeed || draft?.seed || _newSeed();
+
+        if (source === 'mistakes') {
+            questions = await _loadNoted(subject, Progress.getMistakes(subject, level));
+            if (questions.length === 0) {
+                throw new Error('Your mistake notebook for this level is empty.');
+            }
+        } else if (source === 'custom') {
+            if (!spec) throw new Error('This custom quiz link has no valid subjects or levels.');
+            const pool = await _loadPools(spec);
+            redraw = () => shuffle([...pool], _rng(seed)).slice(0, spec.count);
+            questions = redraw();
+        } else if (isFinal) {
+            const res = await fetch(_setUrl(subject, level, 'pool'));
+            if (!res.ok) throw new Error(`Final exam pool not found (HTTP ${res.status})`);
+            const pool = validateQuestions(await res.json(), engineType).map(q => ({ ...q, set: 'pool' }));
+            questions = shuffle(pool, _rng(seed)).slice(0, finalRules.questions);
+
+            // One attempt per cooldown window — only a draft that will be resumed gets past it
+            const opensAt = Progress.finalAvailableAt(subject, level, finalRules.cooldownHours * 3600 * 1000);
+            if (opensAt && !_draftFits(draft, slot)) {
+                const when = new Date(opensAt).toLocaleString('en-US', {
+                    weekday: 'short', hour: 'numeric', minute: '2-digit'
+                });
+                throw new Error(`Your next final exam attempt opens ${when}.`);
+            }
+        } else if (source === 'review') {
+            // Stale refs come off the schedule, so the dashboard stops counting them
+            questions = await _loadNoted(subject, Progress.getDueReviews(subject).slice(0, reviewSize),
+                missing => Progress.dropReviews(missing));
+            if (questions.length === 0) {
+                throw new Error('Nothing is due for review today — come back tomorrow.');
+            }
+        } else {
+            const res = await fetch(_setUrl(subject, level, set));
+            if (!res.ok) throw new Error(`Set ${set} not found (HTTP ${res.status})`);
+            const raw = await res.json();
+            questions = validateQuestions(raw, engineType);
+        }
 
         if (questions.length === 0) {
             throw new Error('No valid questions found in this set.');
@@ -208,7 +529,22 @@ async function init() {
 
         submitted = false;
         answers = {};
-        _render();
+        revealed = {};
+        layout = {};
+        telemetry = {};
+        confidence = {};
+        hinted = {};
+
+        /* ── Resume a draft of this set, if one is still fresh ─── */
+        if (_draftFits(draft, slot)) {
+            // A final exam can't be restarted — starting over would dodge the cooldown
+            if (isFinal) _start(slot, draft);
+            else _offerResume(draft, slot, replaySeed);
+        } else {
+            if (draft) Progress.clearDraft(subject, level, slot.set);
+            if (isFinal) Progress.startFinalExam(subject, level);
+            _start(slot);
+        }
     } catch (e) {
         container.innerHTML = `
         <div class="text-center py-20 bg-slate-900 rounded-xl border border-slate-800">
@@ -225,6 +561,235 @@ async function init() {
     }
 }
 
+/** Set file URL — set 'pool' is the level's aggregated set.json */
+function _setUrl(subject, level, set) {
+    const file = set === 'pool' ? 'set.json' : `set${encodeURIComponent(set)}.json`;
+    return `data/${encodeURIComponent(subject)}/${encodeURIComponent(level)}/${file}`;
+}
+
+// ================================================================
+// GENERATED SETS — mistake notebook + spaced review
+// ================================================================
+
+/**
+ * Build a practice set from noted questions ({ level, set, id } refs, in
+ * the order wanted): fetch each set file they point to and pick the
+ * questions by stable ID, tagged with their level + set. Questions that no
+ * longer exist in their set are skipped and handed to `onMissing` — a set
+ * that could not be reached only skips them.
+ */
+async function _loadNoted(subject, refs, onMissing = null) {
+    const usable = r => LEVEL_ORDER.includes(r.level) && /^(\d+|pool)$/.test(r.set);
+    const files = [...new Set(refs.filter(usable).map(r => `${r.level}/${r.set}`))];
+
+    const found = new Map();   // 'level/set/id' → question
+    const answered = new Set();   // files that answered — a miss there is for good
+    await Promise.all(files.map(async file => {
+        const [level, set] = file.split('/');
+        try {
+            const res = await fetch(_setUrl(subject, level, set));
+            if (res.status === 404) answered.add(file);
+            if (!res.ok) return;
+            for (const q of validateQuestions(await res.json(), engineType)) {
+                found.set(`${file}/${q.id}`, { ...q, level, set });
+            }
+            answered.add(file);
+        } catch { /* skip an unreachable set */ }
+    }));
+
+    const key = r => `${r.level}/${r.set}/${r.id}`;
+    const missing = refs.filter(r => !usable(r) || (answered.has(`${r.level}/${r.set}`) && !found.has(key(r))));
+    if (missing.length) onMissing?.(missing);
+    return refs.map(r => found.get(key(r))).filter(Boolean);
+}
+
+/**
+ * Candidate questions for a custom quiz: the set.json pool of every chosen
+ * subject × level, validated with each subject's own default engine and
+ * de-duplicated by stable ID.
+ */
+async function _loadPools({ subjects, levels }) {
+    const lists = await Promise.all(subjects.flatMap(sub => levels.map(async level => {
+        try {
+            const [mod, res] = await Promise.all([
+                import(`../data/${sub}/std-config.js`),
+                fetch(_setUrl(sub, level, 'pool'))
+            ]);
+            if (!res.ok) return [];
+            return validateQuestions(await res.json(), mod.default?.engine || 'mcq')
+                .map(q => ({ ...q, subject: sub, level, set: 'pool' }));
+        } catch { return []; }
+    })));
+
+    const seen = new Set();
+    return lists.flat().filter(q => !seen.has(q.id) && seen.add(q.id));
+}
+
+/** Plain-text correct answer, as shown in the mistake notebook */
+function _answerText(item) {
+    switch (item.engine) {
+        case 'type':
+        case 'order':
+            return item.accepted[0];
+        case 'spot':
+            return item.correction
+                ? `${item.segments[item.errorIdx]} → ${item.correction}`
+                : item.segments[item.errorIdx];
+        default:
+            return item.blanks
+                ? item.blanks.map(b => b.options[b.answer]).join(' / ')
+                : item.options[item.answer];
+    }
+}
+
+// ================================================================
+// DRAFTS — resume an attempt after a reload
+// ================================================================
+
+/** A draft is only usable for the same mode and the same questions (by ID) */
+function _draftFits(draft, slot) {
+    if (!draft || draft.mode !== slot.mode) return false;
+    if (draft.seed && draft.seed !== seed) return false;   // ?seed= asked for another paper
+    const { order } = draft;
+    const ids = new Set(questions.map(q => q.id));
+    return Array.isArray(order) && order.length === ids.size &&
+        order.every((id, pos) => ids.has(id) && order.indexOf(id) === pos) &&
+        !!draft.answers && typeof draft.answers === 'object';
+}
+
+/**
+ * Seconds a draft has been running. A timed attempt keeps counting down while
+ * the page is closed, so its time comes from the wall-clock start it saved.
+ */
+function _draftElapsed(draft) {
+    const secs = exam && draft.startedAt > 0
+        ? (Date.now() - draft.startedAt) / 1000
+        : draft.elapsed;
+    return Math.max(0, Math.floor(secs) || 0);
+}
+
+/**
+ * Ask whether to pick the draft up or start the set again. Starting again
+ * is a new paper, unless `keepSeed` (from ?seed=) asked for this one.
+ */
+function _offerResume(draft, slot, keepSeed = '') {
+    const answered = Object.keys(draft.answers).length;
+    const elapsed = _draftElapsed(draft);
+    const clock = `${String(Math.floor(elapsed / 60)).padStart(2, '0')}:${String(elapsed % 60).padStart(2, '0')}`;
+
+    const container = document.getElementById('quiz-container');
+    container.innerHTML = `
+        <div class="max-w-md mx-auto mt-10 text-center px-6 py-10 bg-slate-900 rounded-2xl
+                    border border-slate-800 shadow-lg animate-enter">
+            <p class="text-[10px] font-black uppercase tracking-widest text-yellow-500 mb-3">
+                Unfinished attempt
+            </p>
+            <h2 class="text-white font-black text-lg mb-2">Resume where you left off?</h2>
+            <p class="text-slate-400 text-xs font-medium leading-relaxed mb-8">
+                Answers saved for ${answered} of ${questions.length} questions ·
+                <span class="font-mono text-slate-300">${clock}</span> on the clock
+            </p>
+            <div class="flex flex-col sm:flex-row gap-3 justify-center">
+                <button id="btn-resume"
+                        class="px-6 py-3 bg-emerald-600 hover:bg-emerald-500 text-white font-bold
+                               text-xs uppercase tracking-widest rounded-lg transition-all active:scale-95">
+                    Resume
+                </button>
+                <button id="btn-fresh"
+                        class="px-6 py-3 bg-slate-800 hover:bg-slate-700 text-white font-bold
+                               text-xs uppercase tracking-widest rounded-lg transition-all
+                               border border-slate-700 active:scale-95">
+                    Start fresh
+                </button>
+            </div>
+        </div>`;
+
+    document.getElementById('btn-resume').addEventListener('click', () => _start(slot, draft));
+    document.getElementById('btn-fresh').addEventListener('click', () => {
+        Progress.clearDraft(slot.subject, slot.level, slot.set);
+        seed = keepSeed || _newSeed();
+        if (redraw) questions = redraw();
+        _start(slot);
+    });
+}
+
+/**
+ * Render the set and start the clock — restoring question order, option
+ * order, answers and elapsed time when resuming a draft.
+ */
+function _start(slot, draft = null) {
+    if (draft) {
+        const byId = new Map(questions.map(q => [q.id, q]));
+        questions = draft.order.map(id => byId.get(id));
+        layout = draft.layout && typeof draft.layout === 'object' ? draft.layout : {};
+        telemetry = draft.telemetry && typeof draft.telemetry === 'object' ? draft.telemetry : {};
+        confidence = draft.confidence && typeof draft.confidence === 'object' ? draft.confidence : {};
+        hinted = draft.hinted && typeof draft.hinted === 'object' ? draft.hinted : {};
+    }
+
+    _render();
+    questions.forEach((_, qIdx) => {
+        _drawConfidence(qIdx);
+        if (hinted[qIdx]) _openHint(qIdx);
+    });
+    if (draft) {
+        questions.forEach((item, qIdx) => {
+            const ans = draft.answers[qIdx];
+            if (ans === undefined || ans === null) return;
+            ENGINES[item.engine].restore(document.getElementById(`qcard-${qIdx}`), qIdx, item, ans);
+        });
+    }
+
+    // Drafts (and telemetry) are written from here on — the clock may expire straight away
+    draftSlot = slot;
+    lastMark = Date.now();
+    const offset = draft ? _draftElapsed(draft) : 0;
+    if (exam) {
+        exam.startedAt = Date.now() - offset * 1000;
+        _startExamClock(offset);
+    }
+    else startTimer('engine-timer', offset);
+    _saveDraft();
+}
+
+/** Persist the attempt so far (called on every answer change) */
+function _saveDraft() {
+    if (!draftSlot || submitted) return;
+    const { subject, level, set, mode } = draftSlot;
+    if (Object.keys(answers).length === 0) {
+        Progress.clearDraft(subject, level, set);
+        return;
+    }
+    Progress.saveDraft(subject, level, set, {
+        mode,
+        seed,
+        order: questions.map(q => q.id),
+        layout,
+        answers,
+        telemetry,
+        confidence,
+        hinted,
+        elapsed: elapsedTimer(),
+        ...(exam && { startedAt: exam.startedAt })
+    });
+}
+
+// Keep the elapsed time current when the tab is hidden or the page unloads
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') _saveDraft();
+});
+window.addEventListener('pagehide', _saveDraft);
+
+/** Shuffled option order for one list of a question — reused from a draft */
+function _optionOrder(qIdx, n, slot = 0) {
+    const kept = layout[qIdx]?.[slot];
+    if (Array.isArray(kept) && kept.length === n && kept.every((_, i) => kept.includes(i))) return kept;
+    if (!layout[qIdx]) layout[qIdx] = [];
+    // Keyed by question ID, not position — the order never depends on render order
+    layout[qIdx][slot] = shuffle([...Array(n).keys()], _rng(`${seed}:${questions[qIdx].id}:${slot}`));
+    return layout[qIdx][slot];
+}
+
 // ================================================================
 // RENDER QUESTIONS
 // ================================================================
@@ -232,8 +797,11 @@ function _render() {
     const container = document.getElementById('quiz-container');
     container.innerHTML = '';
 
-    if (engineType === 'mcq') _renderMCQ(container);
-    else _renderFill(container);
+    questions.forEach((item, qIdx) => {
+        ENGINES[item.engine].render(container, item, qIdx);
+        document.getElementById(`qcard-${qIdx}`).dataset.qid = item.id;
+        if (item.hint && !exam) _renderHint(qIdx);
+    });
 
     // Bottom action bar
     const bar = document.getElementById('bottom-bar');
@@ -257,7 +825,7 @@ function _render() {
             </button>
         </div>`;
         // Bind submit handler via event listener (avoid window global)
-        document.getElementById('btn-submit')?.addEventListener('click', _submitQuiz);
+        document.getElementById('btn-submit')?.addEventListener('click', () => _submitQuiz());
     }
 
     stagger('.q-card', 45);
@@ -265,64 +833,74 @@ function _render() {
 }
 
 // ── MCQ render ───────────────────────────────────────────────────
-function _renderMCQ(container) {
-    const LETTERS = ['A', 'B', 'C', 'D', 'E'];
-
-    questions.forEach((item, qIdx) => {
-        // Track correct answer by original index (immune to duplicate text)
-        let opts = item.options.map((t, origI) => ({ text: t, origIdx: origI }));
-        shuffle(opts);
-        const newCorrectIdx = opts.findIndex(o => o.origIdx === item.answer);
-
-        const card = document.createElement('div');
-        card.className = 'q-card opacity-0 bg-slate-900 border border-slate-800 rounded-xl overflow-hidden mb-5 shadow-sm transition-all duration-300';
-        card.id = `qcard-${qIdx}`;
-
-        // Question header
-        const hdr = document.createElement('div');
-        hdr.className = 'px-5 py-4 border-b border-slate-800 flex gap-4 items-start';
-        hdr.innerHTML = `
-            <span class="font-bold text-blue-400 text-xs bg-blue-950/50 border border-blue-900/50
-                         px-2.5 py-1 rounded shadow-inner shrink-0 mt-0.5">
-                Q${String(qIdx + 1).padStart(2, '0')}
+const LETTERS = ['A', 'B', 'C', 'D', 'E'];
+
+function _renderMCQ(container, item, qIdx) {
+    // Track correct answer by original index (immune to duplicate text)
+    const opts = _optionOrder(qIdx, item.options.length)
+        .map(origI => ({ text: item.options[origI], origIdx: origI, image: item.optionImages?.[origI] }));
+    const newCorrectIdx = opts.findIndex(o => o.origIdx === item.answer);
+
+    const card = document.createElement('div');
+    card.className = 'q-card opacity-0 bg-slate-900 border border-slate-800 rounded-xl overflow-hidden mb-5 shadow-sm transition-all duration-300';
+    card.id = `qcard-${qIdx}`;
+
+    // Question header
+    const hdr = document.createElement('div');
+    hdr.className = 'px-5 py-4 border-b border-slate-800 flex gap-4 items-start';
+    hdr.innerHTML = `
+        <span class="font-bold text-blue-400 text-xs bg-blue-950/50 border border-blue-900/50
+                     px-2.5 py-1 rounded shadow-inner shrink-0 mt-0.5">
+            Q${String(qIdx + 1).padStart(2, '0')}
+        </span>
+        <p class="text-white font-bold text-base leading-relaxed">
+            ${formatText(item.q).replace(/_{2,}/g,
+        '<span class="inline-block w-14 border-b-2 border-slate-600 mx-1 align-bottom"></span>')}
+        </p>`;
+
+    // Options grid
+    const grid = document.createElement('div');
+    grid.className = 'p-5 grid grid-cols-1 md:grid-cols-2 gap-3';
+    grid.id = `opts-${qIdx}`;
+
+    opts.forEach((opt, i) => {
+        const btn = document.createElement('button');
+        btn.className = 'q-opt w-full text-left px-4 py-3 rounded-lg border ' +
+            'border-slate-800 bg-slate-950 text-slate-300 ' +
+            'hover:border-yellow-500/50 hover:bg-slate-900 ' +
+            'font-medium text-sm transition-all duration-200 flex items-center gap-3 group';
+        btn.dataset.correct = String(i === newCorrectIdx);
+        btn.dataset.optIdx = i;
+        btn.innerHTML = `
+            <span class="letter-badge w-7 h-7 rounded-md flex items-center justify-center
+                         text-xs font-bold border border-slate-700 text-slate-500
+                         bg-slate-900 shrink-0 transition-colors">
+                ${LETTERS[i]}
             </span>
-            <p class="text-white font-bold text-base leading-relaxed">
-                ${escapeHTML(item.q).replace(/_{2,}/g,
-            '<span class="inline-block w-14 border-b-2 border-slate-600 mx-1 align-bottom"></span>')}
-            </p>`;
-
-        // Options grid
-        const grid = document.createElement('div');
-        grid.className = 'p-5 grid grid-cols-1 md:grid-cols-2 gap-3';
-        grid.id = `opts-${qIdx}`;
+            ${opt.image ? `
+            <img src="${escapeHTML(_imageSrc(item, opt.image))}" alt="${escapeHTML(opt.image.alt)}"
+                 loading="lazy" decoding="async"
+                 class="h-16 w-auto max-w-[8rem] rounded-md object-contain bg-slate-900 shrink-0">` : ''}
+            <span>${formatText(opt.text)}</span>`;
+        btn.onclick = () => _selectMCQ(qIdx, i, grid, card);
+        grid.appendChild(btn);
+    });
 
-        opts.forEach((opt, i) => {
-            const btn = document.createElement('button');
-            btn.className = 'q-opt w-full text-left px-4 py-3 rounded-lg border ' +
-                'border-slate-800 bg-slate-950 text-slate-300 ' +
-                'hover:border-yellow-500/50 hover:bg-slate-900 ' +
-                'font-medium text-sm transition-all duration-200 flex items-center gap-3 group';
-            btn.dataset.correct = String(i === newCorrectIdx);
-            btn.dataset.optIdx = i;
-            btn.innerHTML = `
-                <span class="letter-badge w-7 h-7 rounded-md flex items-center justify-center
-                             text-xs font-bold border border-slate-700 text-slate-500
-                             bg-slate-900 shrink-0 transition-colors">
-                    ${LETTERS[i]}
-                </span>
-                <span>${escapeHTML(opt.text)}</span>`;
-            btn.onclick = () => _selectMCQ(qIdx, i, grid, card);
-            grid.appendChild(btn);
-        });
+    // Footer slot — explanation panel is added here after submission
+    const extra = document.createElement('div');
+    extra.className = 'q-extra px-5 pb-5 empty:hidden';
 
-        card.appendChild(hdr);
-        card.appendChild(grid);
-        container.appendChild(card);
-    });
+    card.appendChild(hdr);
+    if (item.image) card.insertAdjacentHTML('beforeend', `<div class="px-5 pt-5">${_figureHTML(item, '')}</div>`);
+    card.appendChild(grid);
+    card.appendChild(_renderConfidence(qIdx, 'px-5 pb-5'));
+    card.appendChild(extra);
+    container.appendChild(card);
 }
 
 function _selectMCQ(qIdx, selectedI, grid, card) {
     if (submitted) return;   // lock after submission
+    _track(qIdx, answers[qIdx] !== undefined && answers[qIdx] !== selectedI);
     answers[qIdx] = selectedI;
 
     grid.querySelectorAll('button').forEach((btn, i) => {
@@ -343,71 +921,191 @@ function _selectMCQ(qIdx, selectedI, grid, card) {
 
     card.classList.remove('border-red-500', 'shadow-red-500/20');
     _updateProgress();
+    _learnCheck(qIdx);
+}
+
+function _restoreMCQ(card, qIdx, item, ans) {
+    const grid = card.querySelector(`#opts-${qIdx}`);
+    if (Number.isInteger(ans) && grid?.children[ans]) _selectMCQ(qIdx, ans, grid, card);
 }
 
 // ── Fill render ──────────────────────────────────────────────────
-function _renderFill(container) {
-    questions.forEach((item, qIdx) => {
-        // Track correct answer by original index (immune to duplicate text)
-        let opts = item.options.map((t, origI) => ({
-            text: t,
+function _renderFill(container, item, qIdx) {
+    if (item.blanks) return _renderFillMulti(container, item, qIdx);
+
+    // Track correct answer by original index (immune to duplicate text)
+    const opts = _optionOrder(qIdx, item.options.length).map(origI => ({
+        text: item.options[origI],
+        origIdx: origI,
+        isCorrect: origI === item.answer
+    }));
+
+    const blankId = `blank-${qIdx}`;
+    const qHtml = formatText(item.q).replace(BLANK_RE,
+        `<span id="${blankId}"
+               class="inline-block min-w-[90px] border-b-2 border-slate-700
+                      text-slate-500 text-center px-2 mx-1 font-mono transition-all align-bottom">
+            _______
+         </span>`);
+
+    const card = document.createElement('div');
+    card.className = 'q-card opacity-0 bg-slate-900 border border-slate-800 rounded-xl p-5 mb-5 shadow-sm transition-all duration-300';
+    card.id = `qcard-${qIdx}`;
+    card.innerHTML = `
+        <div class="flex gap-4 items-start">
+            <span class="font-bold text-blue-400 text-xs bg-blue-950/50 border border-blue-900/50
+                         px-2.5 py-1 rounded shadow-inner shrink-0 mt-0.5">
+                Q${String(qIdx + 1).padStart(2, '0')}
+            </span>
+            <div class="flex-1">
+                <p class="text-white font-bold text-base leading-relaxed">${qHtml}</p>
+                ${_figureHTML(item)}
+                <div class="flex flex-wrap gap-2 mt-5" id="fill-opts-${qIdx}"></div>
+                <div class="q-extra"></div>
+            </div>
+        </div>`;
+
+    const optsWrap = card.querySelector(`#fill-opts-${qIdx}`);
+    opts.forEach(opt => {
+        const btn = document.createElement('button');
+        btn.className = 'px-4 py-2.5 rounded-lg border border-slate-800 bg-slate-950 ' +
+            'text-slate-300 hover:border-yellow-500/50 hover:bg-slate-900 ' +
+            'font-medium text-sm transition-all';
+        btn.innerHTML = formatText(opt.text);
+        btn.dataset.correct = String(opt.isCorrect);
+        btn.dataset.text = opt.text;
+        btn.onclick = () => _selectFill(qIdx, opt, blankId, optsWrap, card);
+        optsWrap.appendChild(btn);
+    });
+    optsWrap.after(_renderConfidence(qIdx, 'mt-4'));
+
+    container.appendChild(card);
+}
+
+function _selectFill(qIdx, opt, blankId, optsWrap, card) {
+    if (submitted) return;   // lock after submission
+    _track(qIdx, !!answers[qIdx] && answers[qIdx].text !== opt.text);
+    answers[qIdx] = opt;
+
+    const blank = document.getElementById(blankId);
+    if (blank) {
+        blank.innerHTML = formatText(opt.text);
+        blank.className = 'inline-block min-w-[90px] border-b-2 border-yellow-500 ' +
+            'text-yellow-400 text-center px-2 mx-1 font-bold transition-all align-bottom';
+    }
+
+    optsWrap.querySelectorAll('button').forEach(btn => {
+        btn.className = btn.dataset.text === opt.text
+            ? 'px-4 py-2.5 rounded-lg border border-yellow-500 bg-yellow-950/30 text-yellow-400 font-medium text-sm transition-all'
+            : 'px-4 py-2.5 rounded-lg border border-slate-800 bg-slate-950 text-slate-300 hover:border-yellow-500/50 hover:bg-slate-900 font-medium text-sm transition-all';
+    });
+
+    card.classList.remove('border-red-500');
+    _updateProgress();
+    _learnCheck(qIdx);
+}
+
+/** Saved fill picks are rebuilt from the question, not trusted as stored */
+function _restoreFill(card, qIdx, item, ans) {
+    const optsWrap = card.querySelector(`#fill-opts-${qIdx}`);
+    const pick = (options, answer, origI) => Number.isInteger(origI) && origI in options
+        ? { text: options[origI], origIdx: origI, isCorrect: origI === answer }
+        : null;
+
+    if (!item.blanks) {
+        const opt = pick(item.options, item.answer, ans.origIdx);
+        if (opt) _selectFill(qIdx, opt, `blank-${qIdx}`, optsWrap, card);
+        return;
+    }
+    (ans.picks || []).forEach((saved, bIdx) => {
+        const blank = item.blanks[bIdx];
+        const row = optsWrap.querySelector(`[data-blank="${bIdx}"]`);
+        const opt = blank && saved && pick(blank.options, blank.answer, saved.origIdx);
+        if (opt && row) _selectFillBlank(qIdx, bIdx, opt, item, row, card);
+    });
+}
+
+// ── Multi-blank fill render ──────────────────────────────────────
+// One inline blank per entry in `blanks`, filled left to right, each with
+// its own row of option pills underneath the sentence.
+function _renderFillMulti(container, item, qIdx) {
+    let b = 0;
+    const qHtml = formatText(item.q).replace(BLANK_RE, m => {
+        if (b >= item.blanks.length) return m;
+        return `<span id="blank-${qIdx}-${b++}"
+                      class="inline-block min-w-[90px] border-b-2 border-slate-700
+                             text-slate-500 text-center px-2 mx-1 font-mono transition-all align-bottom">
+                    _______
+                </span>`;
+    });
+
+    const card = document.createElement('div');
+    card.className = 'q-card opacity-0 bg-slate-900 border border-slate-800 rounded-xl p-5 mb-5 shadow-sm transition-all duration-300';
+    card.id = `qcard-${qIdx}`;
+    card.innerHTML = `
+        <div class="flex gap-4 items-start">
+            <span class="font-bold text-blue-400 text-xs bg-blue-950/50 border border-blue-900/50
+                         px-2.5 py-1 rounded shadow-inner shrink-0 mt-0.5">
+                Q${String(qIdx + 1).padStart(2, '0')}
+            </span>
+            <div class="flex-1">
+                <p class="text-white font-bold text-base leading-relaxed">${qHtml}</p>
+                ${_figureHTML(item)}
+                <div class="space-y-3 mt-5" id="fill-opts-${qIdx}"></div>
+                <div class="q-extra"></div>
+            </div>
+        </div>`;
+
+    const rowsWrap = card.querySelector(`#fill-opts-${qIdx}`);
+    item.blanks.forEach((blank, bIdx) => {
+        const opts = _optionOrder(qIdx, blank.options.length, bIdx).map(origI => ({
+            text: blank.options[origI],
             origIdx: origI,
-            isCorrect: origI === item.answer
+            isCorrect: origI === blank.answer
         }));
-        shuffle(opts);
-
-        const blankId = `blank-${qIdx}`;
-        const qHtml = escapeHTML(item.q).replace(/_{2,}|\.{3,}|…/g,
-            `<span id="${blankId}"
-                   class="inline-block min-w-[90px] border-b-2 border-slate-700
-                          text-slate-500 text-center px-2 mx-1 font-mono transition-all align-bottom">
-                _______
-             </span>`);
-
-        const card = document.createElement('div');
-        card.className = 'q-card opacity-0 bg-slate-900 border border-slate-800 rounded-xl p-5 mb-5 shadow-sm transition-all duration-300';
-        card.id = `qcard-${qIdx}`;
-        card.innerHTML = `
-            <div class="flex gap-4 items-start">
-                <span class="font-bold text-blue-400 text-xs bg-blue-950/50 border border-blue-900/50
-                             px-2.5 py-1 rounded shadow-inner shrink-0 mt-0.5">
-                    Q${String(qIdx + 1).padStart(2, '0')}
-                </span>
-                <div class="flex-1">
-                    <p class="text-white font-bold text-base leading-relaxed">${qHtml}</p>
-                    <div class="flex flex-wrap gap-2 mt-5" id="fill-opts-${qIdx}"></div>
-                </div>
-            </div>`;
 
-        const optsWrap = card.querySelector(`#fill-opts-${qIdx}`);
+        const row = document.createElement('div');
+        row.className = 'flex flex-wrap items-center gap-2';
+        row.dataset.blank = bIdx;
+        row.innerHTML = `
+            <span class="w-full sm:w-auto sm:mr-1 text-[9px] font-black uppercase tracking-widest text-slate-600">
+                Blank ${bIdx + 1}
+            </span>`;
+
         opts.forEach(opt => {
             const btn = document.createElement('button');
             btn.className = 'px-4 py-2.5 rounded-lg border border-slate-800 bg-slate-950 ' +
                 'text-slate-300 hover:border-yellow-500/50 hover:bg-slate-900 ' +
                 'font-medium text-sm transition-all';
-            btn.textContent = opt.text;
+            btn.innerHTML = formatText(opt.text);
             btn.dataset.correct = String(opt.isCorrect);
             btn.dataset.text = opt.text;
-            btn.onclick = () => _selectFill(qIdx, opt, blankId, optsWrap, card);
-            optsWrap.appendChild(btn);
+            btn.onclick = () => _selectFillBlank(qIdx, bIdx, opt, item, row, card);
+            row.appendChild(btn);
         });
 
-        container.appendChild(card);
+        rowsWrap.appendChild(row);
     });
+    rowsWrap.after(_renderConfidence(qIdx, 'mt-4'));
+
+    container.appendChild(card);
 }
 
-function _selectFill(qIdx, opt, blankId, optsWrap, card) {
+function _selectFillBlank(qIdx, bIdx, opt, item, row, card) {
     if (submitted) return;   // lock after submission
-    answers[qIdx] = opt;
+    const picks = answers[qIdx]?.picks || Array(item.blanks.length).fill(null);
+    _track(qIdx, !!picks[bIdx] && picks[bIdx].text !== opt.text);
+    picks[bIdx] = opt;
+    answers[qIdx] = { picks };
 
-    const blank = document.getElementById(blankId);
+    const blank = document.getElementById(`blank-${qIdx}-${bIdx}`);
     if (blank) {
-        blank.textContent = opt.text;
+        blank.innerHTML = formatText(opt.text);
         blank.className = 'inline-block min-w-[90px] border-b-2 border-yellow-500 ' +
             'text-yellow-400 text-center px-2 mx-1 font-bold transition-all align-bottom';
     }
 
-    optsWrap.querySelectorAll('button').forEach(btn => {
+    row.querySelectorAll('button').forEach(btn => {
         btn.className = btn.dataset.text === opt.text
             ? 'px-4 py-2.5 rounded-lg border border-yellow-500 bg-yellow-950/30 text-yellow-400 font-medium text-sm transition-all'
             : 'px-4 py-2.5 rounded-lg border border-slate-800 bg-slate-950 text-slate-300 hover:border-yellow-500/50 hover:bg-slate-900 font-medium text-sm transition-all';
@@ -415,16 +1113,266 @@ function _selectFill(qIdx, opt, blankId, optsWrap, card) {
 
     card.classList.remove('border-red-500');
     _updateProgress();
+    _learnCheck(qIdx);
+}
+
+// ── Typed render ─────────────────────────────────────────────────
+// The first blank in the sentence becomes a text input; if the sentence
+// has no blank marker the input is placed underneath it.
+function _renderType(container, item, qIdx) {
+    const inputId = `type-${qIdx}`;
+    const inputHtml = `<input id="${inputId}" type="text" autocomplete="off" autocapitalize="off"
+                              autocorrect="off" spellcheck="false" aria-label="Answer for question ${qIdx + 1}"
+                              class="type-input inline-block w-36 bg-transparent border-0 border-b-2 border-slate-700
+                                     text-yellow-400 text-center px-2 mx-1 font-bold outline-none
+                                     focus:border-yellow-500 transition-all align-bottom">`;
+
+    let placed = false;
+    let qHtml = formatText(item.q).replace(BLANK_RE, m => {
+        if (placed) return m;
+        placed = true;
+        return inputHtml;
+    });
+    if (!placed) qHtml += `<span class="block mt-4">${inputHtml}</span>`;
+
+    const card = document.createElement('div');
+    card.className = 'q-card opacity-0 bg-slate-900 border border-slate-800 rounded-xl p-5 mb-5 shadow-sm transition-all duration-300';
+    card.id = `qcard-${qIdx}`;
+    card.innerHTML = `
+        <div class="flex gap-4 items-start">
+            <span class="font-bold text-blue-400 text-xs bg-blue-950/50 border border-blue-900/50
+                         px-2.5 py-1 rounded shadow-inner shrink-0 mt-0.5">
+                Q${String(qIdx + 1).padStart(2, '0')}
+            </span>
+            <div class="flex-1">
+                <p class="text-white font-bold text-base leading-relaxed">${qHtml}</p>
+                ${_figureHTML(item)}
+                <div class="q-extra"></div>
+            </div>
+        </div>`;
+
+    const input = card.querySelector(`#${inputId}`);
+    input.addEventListener('input', () => _selectType(qIdx, input.value, item, card));
+    input.addEventListener('keydown', e => {
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+        // Jump to the next typed answer, if any
+        const inputs = [...document.querySelectorAll('.type-input')];
+        inputs[inputs.indexOf(input) + 1]?.focus();
+    });
+
+    container.appendChild(card);
+}
+
+function _selectType(qIdx, value, item, card) {
+    if (submitted) return;   // lock after submission
+    const typed = normalizeAnswer(value);
+    _track(qIdx, false);
+    if (!typed) {
+        delete answers[qIdx];
+    } else {
+        answers[qIdx] = {
+            text: value.trim(),
+            isCorrect: item.accepted.some(a => normalizeAnswer(a) === typed)
+        };
+    }
+
+    card.classList.remove('border-red-500');
+    _updateProgress();
+}
+
+function _restoreType(card, qIdx, item, ans) {
+    const input = card.querySelector(`#type-${qIdx}`);
+    if (!input || typeof ans.text !== 'string') return;
+    input.value = ans.text;
+    _selectType(qIdx, ans.text, item, card);
+}
+
+// ── Error-spotting render ────────────────────────────────────────
+const SPOT_BASE = 'spot-seg px-1.5 py-0.5 rounded-md border font-bold text-base leading-relaxed transition-all';
+const SPOT_IDLE = `${SPOT_BASE} border-transparent text-white hover:border-yellow-500/50 hover:bg-slate-800`;
+const SPOT_PICKED = `${SPOT_BASE} border-yellow-500 bg-yellow-950/30 text-yellow-400`;
+
+function _renderSpot(container, item, qIdx) {
+    const card = document.createElement('div');
+    card.className = 'q-card opacity-0 bg-slate-900 border border-slate-800 rounded-xl p-5 mb-5 shadow-sm transition-all duration-300';
+    card.id = `qcard-${qIdx}`;
+    card.innerHTML = `
+        <div class="flex gap-4 items-start">
+            <span class="font-bold text-blue-400 text-xs bg-blue-950/50 border border-blue-900/50
+                         px-2.5 py-1 rounded shadow-inner shrink-0 mt-0.5">
+                Q${String(qIdx + 1).padStart(2, '0')}
+            </span>
+            <div class="flex-1">
+                <p class="text-[10px] font-black uppercase tracking-widest text-slate-500 mb-2">
+                    Tap the incorrect word
+                </p>
+                <div class="flex flex-wrap items-center gap-x-0.5 gap-y-1.5" id="spot-${qIdx}"
+                     role="group" aria-label="Sentence for question ${qIdx + 1}"></div>
+                ${_figureHTML(item)}
+                <div class="q-extra"></div>
+            </div>
+        </div>`;
+
+    const wrap = card.querySelector(`#spot-${qIdx}`);
+    item.segments.forEach((text, segIdx) => {
+        const btn = document.createElement('button');
+        btn.className = SPOT_IDLE;
+        btn.textContent = text;
+        btn.dataset.seg = segIdx;
+        btn.onclick = () => _selectSpot(qIdx, segIdx, wrap, card);
+        wrap.appendChild(btn);
+    });
+
+    container.appendChild(card);
+}
+
+function _selectSpot(qIdx, segIdx, wrap, card) {
+    if (submitted) return;   // lock after submission
+    _track(qIdx, answers[qIdx] !== undefined && answers[qIdx] !== segIdx);
+    answers[qIdx] = segIdx;
+
+    wrap.querySelectorAll('button').forEach((btn, i) => {
+        btn.className = i === segIdx ? SPOT_PICKED : SPOT_IDLE;
+        btn.setAttribute('aria-pressed', String(i === segIdx));
+    });
+
+    card.classList.remove('border-red-500');
+    _updateProgress();
+    _learnCheck(qIdx);
+}
+
+function _restoreSpot(card, qIdx, item, ans) {
+    if (Number.isInteger(ans) && ans in item.segments) {
+        _selectSpot(qIdx, ans, card.querySelector(`#spot-${qIdx}`), card);
+    }
+}
+
+// ── Reorder render ───────────────────────────────────────────────
+// Tap a word in the pool to append it to the sentence line; tap a placed
+// word to send it back. Placed words can also be nudged with ← / → when
+// focused, so the whole exercise works by touch and by keyboard.
+const ORDER_TOKEN = 'order-token px-3 py-2 rounded-lg border font-medium text-sm transition-all';
+const ORDER_POOL = `${ORDER_TOKEN} border-slate-800 bg-slate-950 text-slate-300 hover:border-yellow-500/50 hover:bg-slate-900`;
+const ORDER_PLACED = `${ORDER_TOKEN} border-yellow-500 bg-yellow-950/30 text-yellow-400`;
+
+function _renderOrder(container, item, qIdx) {
+    const pool = _optionOrder(qIdx, item.tokens.length);
+    // Never hand out the sentence already solved
+    if (pool.every((t, i) => t === i)) pool.push(pool.shift());
+
+    const card = document.createElement('div');
+    card.className = 'q-card opacity-0 bg-slate-900 border border-slate-800 rounded-xl p-5 mb-5 shadow-sm transition-all duration-300';
+    card.id = `qcard-${qIdx}`;
+    card.innerHTML = `
+        <div class="flex gap-4 items-start">
+            <span class="font-bold text-blue-400 text-xs bg-blue-950/50 border border-blue-900/50
+                         px-2.5 py-1 rounded shadow-inner shrink-0 mt-0.5">
+                Q${String(qIdx + 1).padStart(2, '0')}
+            </span>
+            <div class="flex-1 min-w-0">
+                <p class="text-white font-bold text-base leading-relaxed">${formatText(item.q)}</p>
+                ${_figureHTML(item)}
+                <div id="order-line-${qIdx}" role="group" aria-label="Your sentence"
+                     class="mt-4 min-h-[54px] flex flex-wrap items-center gap-2 p-2.5 rounded-lg
+                            border-2 border-dashed border-slate-700 bg-slate-950/60"></div>
+                <div id="order-pool-${qIdx}" role="group" aria-label="Words to place"
+                     class="mt-3 flex flex-wrap gap-2"></div>
+                <div class="q-extra"></div>
+            </div>
+        </div>`;
+
+    container.appendChild(card);
+    _drawOrder(qIdx, item, pool, card);
+}
+
+function _drawOrder(qIdx, item, pool, card, focus = null) {
+    const line = card.querySelector(`#order-line-${qIdx}`);
+    const poolWrap = card.querySelector(`#order-pool-${qIdx}`);
+    const order = answers[qIdx]?.order || [];
+
+    line.innerHTML = order.length ? '' : `
+        <span class="px-1 text-[10px] font-bold uppercase tracking-widest text-slate-600">
+            Tap the words below in order
+        </span>`;
+    poolWrap.innerHTML = '';
+
+    order.forEach((tIdx, pos) => {
+        const btn = document.createElement('button');
+        btn.className = ORDER_PLACED;
+        btn.textContent = item.tokens[tIdx];
+        btn.dataset.pos = pos;
+        btn.setAttribute('aria-label', `${item.tokens[tIdx]}, position ${pos + 1} — press to remove`);
+        btn.onclick = () => _setOrder(qIdx, order.filter((_, p) => p !== pos), item, pool, card,
+            { where: 'line', pos: Math.min(pos, order.length - 2) });
+        btn.onkeydown = e => {
+            const to = e.key === 'ArrowLeft' ? pos - 1 : e.key === 'ArrowRight' ? pos + 1 : -1;
+            if (to < 0 || to >= order.length) return;
+            e.preventDefault();
+            const next = [...order];
+            [next[pos], next[to]] = [next[to], next[pos]];
+            _setOrder(qIdx, next, item, pool, card, { where: 'line', pos: to });
+        };
+        line.appendChild(btn);
+    });
+
+    pool.filter(t => !order.includes(t)).forEach((tIdx, pos) => {
+        const btn = document.createElement('button');
+        btn.className = ORDER_POOL;
+        btn.textContent = item.tokens[tIdx];
+        btn.dataset.pos = pos;
+        btn.onclick = () => _setOrder(qIdx, [...order, tIdx], item, pool, card, { where: 'pool', pos });
+        poolWrap.appendChild(btn);
+    });
+
+    // Keep keyboard focus near where the student was working
+    if (focus) {
+        const target = focus.where === 'line' ? line : poolWrap;
+        const btns = target.querySelectorAll('button');
+        (btns[Math.min(focus.pos, btns.length - 1)] || btns[0]
+            || (focus.where === 'pool' ? line : poolWrap).querySelector('button'))?.focus();
+    }
+}
+
+function _setOrder(qIdx, order, item, pool, card, focus) {
+    if (submitted) return;   // lock after submission
+    _track(qIdx, false);
+    if (order.length) answers[qIdx] = { order };
+    else delete answers[qIdx];
+
+    _drawOrder(qIdx, item, pool, card, focus);
+    card.classList.remove('border-red-500');
+    _updateProgress();
+}
+
+function _restoreOrder(card, qIdx, item, ans) {
+    const order = (ans.order || []).filter((t, pos, all) =>
+        Number.isInteger(t) && t in item.tokens && all.indexOf(t) === pos);
+    if (order.length) _setOrder(qIdx, order, item, layout[qIdx][0], card, null);
 }
 
 // ================================================================
 // PROGRESS INDICATOR
 // ================================================================
+
+/**
+ * A multi-blank question only counts once every blank is picked, a reorder
+ * question once every token is placed.
+ */
+function _isAnswered(qIdx) {
+    const ans = answers[qIdx];
+    if (ans === undefined) return false;
+    if (ans?.picks) return ans.picks.every(Boolean);
+    if (ans?.order) return ans.order.length === questions[qIdx].tokens.length;
+    return true;
+}
+
 function _updateProgress() {
-    const answered = Object.keys(answers).length;
+    const answered = questions.filter((_, i) => _isAnswered(i)).length;
     const total = questions.length;
 
     updateHeaderProgress(answered, total);
+    _saveDraft();
 
     const btn = document.getElementById('btn-submit');
     if (!btn) return;
@@ -435,16 +1383,298 @@ function _updateProgress() {
     }
 }
 
+// ================================================================
+// IMAGES — question figures (tap to zoom) and option thumbnails
+// ================================================================
+
+/** Image path for a question — bare names live in its subject's data folder */
+function _imageSrc(item, img) {
+    return resolveDataPath(img.src, item.subject || getParams().subject);
+}
+
+function _figureHTML(item, spacing = 'mt-4') {
+    if (!item.image) return '';
+    const src = escapeHTML(_imageSrc(item, item.image));
+    const alt = escapeHTML(item.image.alt);
+    return `
+        <button type="button" data-zoom="${src}" data-alt="${alt}" aria-label="Enlarge image: ${alt}"
+                class="q-figure block ${spacing} max-w-full rounded-lg overflow-hidden border border-slate-800
+                       bg-slate-950 hover:border-yellow-500/40 transition-all cursor-zoom-in">
+            <img src="${src}" alt="${alt}" loading="lazy" decoding="async"
+                 class="block max-h-64 w-auto max-w-full object-contain">
+        </button>`;
+}
+
+/** Full-screen view of a question image; a tap or Escape closes it */
+function _openZoom(src, alt) {
+    const box = document.createElement('div');
+    box.className = 'fixed inset-0 z-[250] flex flex-col items-center justify-center gap-3 p-4 ' +
+        'bg-black/90 backdrop-blur-sm cursor-zoom-out animate-enter';
+    box.setAttribute('role', 'dialog');
+    box.setAttribute('aria-label', alt);
+    box.innerHTML = `
+        <img src="${escapeHTML(src)}" alt="${escapeHTML(alt)}"
+             class="max-h-[85vh] max-w-full object-contain rounded-lg shadow-2xl">
+        <p class="text-xs text-slate-400 font-medium text-center max-w-lg">${escapeHTML(alt)}</p>`;
+    const close = () => {
+        box.remove();
+        document.removeEventListener('keydown', onKey);
+    };
+    const onKey = e => { if (e.key === 'Escape') close(); };
+    box.addEventListener('click', close);
+    document.addEventListener('keydown', onKey);
+    document.body.appendChild(box);
+}
+
+document.addEventListener('click', e => {
+    const fig = e.target.closest?.('[data-zoom]');
+    if (fig) _openZoom(fig.dataset.zoom, fig.dataset.alt);
+});
+
+// A missing image leaves its alt text behind instead of a broken icon
+document.addEventListener('error', e => {
+    const img = e.target;
+    if (img?.tagName !== 'IMG' || !img.closest('.q-card')) return;
+    const note = document.createElement('span');
+    note.className = 'inline-block px-2 py-1 rounded border border-dashed border-slate-700 ' +
+        'text-[10px] font-bold text-slate-500 italic';
+    note.textContent = `Image unavailable: ${img.alt}`;
+    (img.closest('.q-figure') || img).replaceWith(note);
+}, true);
+
+// ================================================================
+// HINTS — optional per question; a hinted answer scores `hintWorth`
+// ================================================================
+
+/** "Show hint" toggle, just above the card's reveal slot */
+function _renderHint(qIdx) {
+    const card = document.getElementById(`qcard-${qIdx}`);
+    const extra = card?.querySelector('.q-extra');
+    if (!extra) return;
+
+    const wrap = document.createElement('div');
+    wrap.id = `hint-${qIdx}`;
+    wrap.className = extra.parentElement === card ? 'px-5 pb-5' : 'mt-4';
+    wrap.innerHTML = `
+        <button type="button"
+                class="inline-flex items-center gap-1.5 px-2.5 py-1 rounded-md border border-slate-800
+                       text-[9px] font-black uppercase tracking-widest text-slate-500
+                       hover:border-sky-500/50 hover:text-sky-400 transition-all">
+            💡 Show hint
+            <span class="font-bold normal-case tracking-normal text-slate-600">(worth ${hintWorth} pt)</span>
+        </button>`;
+    wrap.querySelector('button').addEventListener('click', () => {
+        if (submitted || revealed[qIdx] !== undefined) return;
+        hinted[qIdx] = true;
+        _openHint(qIdx);
+        _saveDraft();
+    });
+    extra.before(wrap);
+}
+
+function _openHint(qIdx) {
+    const wrap = document.getElementById(`hint-${qIdx}`);
+    if (!wrap) return;
+    wrap.innerHTML = `
+        <p class="px-3 py-2 rounded-lg border border-sky-900/60 bg-sky-950/30
+                  text-sm text-sky-300 font-medium leading-relaxed">
+            💡 ${formatText(questions[qIdx].hint)}
+        </p>`;
+}
+
+/** Points for a question: a hinted answer only earns `hintWorth` of its score */
+function _points(qIdx, got) {
+    return hinted[qIdx] ? got * hintWorth : got;
+}
+
+/** On reveal: flag hint use, or drop the unused "Show hint" button */
+function _settleHint(qIdx, card) {
+    if (!hinted[qIdx]) {
+        document.getElementById(`hint-${qIdx}`)?.remove();
+        return;
+    }
+    (card?.querySelector('.q-extra') || card)?.insertAdjacentHTML('afterbegin', `
+        <span class="inline-block mt-4 mr-2 px-2 py-0.5 rounded text-[9px] font-black uppercase tracking-widest
+                     bg-sky-950/60 text-sky-300 border border-sky-900/60">Hint used · worth ${hintWorth} pt</span>`);
+}
+
+// ================================================================
+// CONFIDENCE — optional "sure" / "guessing" rating per answer
+// ================================================================
+const CONFIDENCE = { sure: 'Sure', guess: 'Guessing' };
+const CONF_BASE = 'px-2.5 py-1 rounded-md border text-[9px] font-black uppercase tracking-widest transition-all';
+const CONF_IDLE = `${CONF_BASE} border-slate-800 text-slate-500 hover:border-slate-600 hover:text-slate-300`;
+const CONF_PICKED = {
+    sure: `${CONF_BASE} border-emerald-500/60 bg-emerald-950/40 text-emerald-400`,
+    guess: `${CONF_BASE} border-orange-500/60 bg-orange-950/40 text-orange-400`
+};
+
+/** The rating toggles under a question's options (MCQ and fill cards) */
+function _renderConfidence(qIdx, spacing) {
+    const row = document.createElement('div');
+    row.id = `conf-${qIdx}`;
+    row.className = `flex flex-wrap items-center gap-2 ${spacing}`;
+    row.innerHTML = `
+        <span class="text-[9px] font-bold uppercase tracking-widest text-slate-600 mr-1">How sure are you?</span>
+        ${Object.entries(CONFIDENCE).map(([key, label]) => `
+        <button type="button" data-conf="${key}" aria-pressed="false" class="${CONF_IDLE}">${label}</button>`).join('')}`;
+    row.addEventListener('click', e => {
+        const btn = e.target.closest('[data-conf]');
+        if (btn) _setConfidence(qIdx, btn.dataset.conf);
+    });
+    return row;
+}
+
+/** Pick a rating — picking it again clears it; locked once the answer is shown */
+function _setConfidence(qIdx, level) {
+    if (submitted || revealed[qIdx] !== undefined) return;
+    if (confidence[qIdx] === level) delete confidence[qIdx];
+    else confidence[qIdx] = level;
+    _drawConfidence(qIdx);
+    _saveDraft();
+}
+
+function _drawConfidence(qIdx) {
+    document.querySelectorAll(`#conf-${qIdx} [data-conf]`).forEach(btn => {
+        const on = confidence[qIdx] === btn.dataset.conf;
+        btn.className = on ? CONF_PICKED[btn.dataset.conf] : CONF_IDLE;
+        btn.setAttribute('aria-pressed', String(on));
+    });
+}
+
+/**
+ * Calibration of a finished attempt: how the rating matched the result.
+ * A wrong answer the student was sure of is a likely misconception.
+ */
+function _calibration(outcomes) {
+    const cal = { sureRight: 0, sureWrong: 0, guessRight: 0, guessWrong: 0, misconceptions: [] };
+    outcomes.forEach((o, qIdx) => {
+        const level = confidence[qIdx];
+        if (!level) return;
+        const key = `${level}${o.isCorrect ? 'Right' : 'Wrong'}`;
+        cal[key]++;
+        if (level === 'sure' && !o.isCorrect) cal.misconceptions.push(o.id);
+    });
+    return cal;
+}
+
+// ================================================================
+// TELEMETRY — per-question timing, kept with the attempt
+// ================================================================
+
+/**
+ * Note an answer to `qIdx`: `first` is the clock (s) at its first answer,
+ * `dwell` the seconds spent on it — each answer adds the time since the
+ * previous answer anywhere in the set — and `changes` how often a given
+ * answer was replaced by another.
+ */
+function _track(qIdx, changed) {
+    if (!draftSlot || submitted) return;   // not while a draft is being restored
+    const now = Date.now();
+    const t = telemetry[qIdx] || (telemetry[qIdx] = { first: null, dwell: 0, changes: 0 });
+    if (t.first === null) t.first = elapsedTimer();
+    if (changed) t.changes++;
+    t.dwell = Math.round((t.dwell + (now - lastMark) / 1000) * 10) / 10;
+    lastMark = now;
+}
+
+/** The attempt's telemetry, one row per question in paper order */
+function _telemetryRows() {
+    return questions.map((q, i) => ({
+        id: q.id,
+        first: telemetry[i]?.first ?? null,
+        dwell: telemetry[i]?.dwell || 0,
+        changes: telemetry[i]?.changes || 0
+    }));
+}
+
+// ================================================================
+// LEARN MODE
+// ================================================================
+
+/** Learn mode: reveal + lock a one-tap question as soon as it is answered */
+function _learnCheck(qIdx) {
+    if (!learn || submitted || revealed[qIdx] !== undefined) return;
+    const item = questions[qIdx];
+    if (!ENGINES[item.engine].instant || !_isAnswered(qIdx)) return;
+
+    const card = document.getElementById(`qcard-${qIdx}`);
+    revealed[qIdx] = ENGINES[item.engine].reveal(card, qIdx, item);
+    _revealExplanation(card, item);
+    _settleHint(qIdx, card);
+
+    const done = Object.keys(revealed).length;
+    const right = Math.round(Object.entries(revealed)
+        .reduce((sum, [i, got]) => sum + _points(i, got), 0) * 100) / 100;
+    const el = document.getElementById('engine-score');
+    if (el) el.textContent = `${right}/${done}`;
+}
+
+// ================================================================
+// EXAM CLOCK
+// ================================================================
+function _startExamClock(offsetSec = 0) {
+    if (!exam.limit) exam.limit = questions.length * exam.perQuestion;
+
+    startCountdown('engine-timer', exam.limit, {
+        offsetSec,
+        onTick(remaining) {
+            const pill = document.getElementById('engine-timer-pill');
+            // Fire each threshold once, even if a throttled tab skipped the exact second
+            for (const t of exam.warnAt) {
+                if (remaining > 0 && remaining <= t && !exam.warned.has(t)) {
+                    exam.warned.add(t);
+                    _toast(`${_formatRemaining(remaining)} left — unanswered questions count as wrong`);
+                    pill?.classList.add('border-orange-500/60', 'bg-orange-950/40');
+                }
+            }
+            if (remaining <= Math.min(...exam.warnAt)) {
+                pill?.classList.remove('border-orange-500/60', 'bg-orange-950/40');
+                pill?.classList.add('border-red-500/60', 'bg-red-950/40', 'animate-pulse');
+            }
+        },
+        onExpire() {
+            _toast('Time is up — your answers have been submitted');
+            _submitQuiz({ timedOut: true });
+        }
+    });
+}
+
+function _formatRemaining(sec) {
+    if (sec < 60) return `${sec} seconds`;
+    const m = Math.floor(sec / 60);
+    return `${m} minute${m !== 1 ? 's' : ''}`;
+}
+
+/** Short-lived notice pinned under the header */
+function _toast(message) {
+    document.getElementById('engine-toast')?.remove();
+    const toast = document.createElement('div');
+    toast.id = 'engine-toast';
+    toast.setAttribute('role', 'alert');
+    toast.className = 'fixed top-24 left-1/2 -translate-x-1/2 z-[150] max-w-sm w-[calc(100%-2rem)] ' +
+        'px-4 py-3 rounded-xl border border-orange-500/40 bg-orange-950/90 backdrop-blur-md ' +
+        'text-orange-300 text-xs font-bold text-center shadow-lg animate-enter';
+    toast.textContent = message;
+    document.body.appendChild(toast);
+    setTimeout(() => toast.remove(), 4000);
+}
+
 // ================================================================
 // SUBMIT
 // ================================================================
-function _submitQuiz() {
+
+/**
+ * Reveal, score, save + sync. `timedOut` (exam clock expiry) skips the
+ * answer-all guard — unanswered questions then score zero.
+ */
+function _submitQuiz({ timedOut = false } = {}) {
     // Re-submission guard
     if (submitted) return;
 
     // Guard: must answer all
-    if (Object.keys(answers).length < questions.length) {
-        const firstMissed = questions.findIndex((_, i) => answers[i] === undefined);
+    if (!timedOut && questions.some((_, i) => !_isAnswered(i))) {
+        const firstMissed = questions.findIndex((_, i) => !_isAnswered(i));
         if (firstMissed !== -1) {
             const card = document.getElementById(`qcard-${firstMissed}`);
             if (card) {
@@ -483,39 +1713,157 @@ function _submitQuiz() {
     }
 
     submitted = true;   // lock submissions
-    const timeTaken = stopTimer();
+    let timeTaken = stopTimer();
+    if (draftSlot) Progress.clearDraft(draftSlot.subject, draftSlot.level, draftSlot.set);
+    if (exam) timeTaken = Math.min(timeTaken, exam.limit);
+    const { subject, level, set, source } = getParams();
+    const generated = source !== 'set';   // mistakes / review round
     let score = 0;
+    const outcomes = [];   // per question, for the mistake notebook
 
     // Reveal + score
     questions.forEach((item, qIdx) => {
         const card = document.getElementById(`qcard-${qIdx}`);
-        if (engineType === 'mcq') {
-            score += _revealMCQ(card, qIdx, item);
-        } else {
-            score += _revealFill(card, qIdx, item);
+        let got = revealed[qIdx];   // already revealed in learn mode
+        if (got === undefined) {
+            if (!_isAnswered(qIdx)) _markUnanswered(card);
+            got = ENGINES[item.engine].reveal(card, qIdx, item);
+            _revealExplanation(card, item);
+            _settleHint(qIdx, card);
         }
+        score += _points(qIdx, got);
+        outcomes.push({
+            subject: item.subject ?? subject, level: item.level ?? level, set: item.set ?? set,
+            id: item.id, q: item.q,
+            correct: _answerText(item), isCorrect: got === 1,
+            sure: confidence[qIdx] === 'sure'
+        });
+        if (confidence[qIdx] === 'sure' && got !== 1) _markMisconception(card);
     });
+    score = Math.round(score * 100) / 100;   // partial credit can leave float noise
+    const wrong = questions.filter((_, qIdx) => !outcomes[qIdx].isCorrect);
 
     // Replace bottom bar
-    const { subject, level, set } = getParams();
     document.getElementById('bottom-bar').innerHTML = `
     <div class="max-w-7xl mx-auto px-4 md:px-8 flex items-center justify-between gap-4">
-        <span class="text-white text-xs font-bold tracking-widest uppercase">Test Completed</span>
-        <a href="level.html?subject=${encodeURIComponent(subject)}&level=${encodeURIComponent(level)}"
-           class="px-6 py-2.5 bg-slate-800 hover:bg-slate-700 text-white font-bold
+        <span class="text-white text-xs font-bold tracking-widest uppercase hidden sm:block">
+            ${retryOf ? 'Retry Round Completed' : 'Test Completed'}
+        </span>
+        <div class="flex items-center gap-2 w-full sm:w-auto">
+        ${wrong.length ? `
+        <button id="btn-retry-wrong"
+                class="flex-1 sm:flex-none px-6 py-2.5 bg-yellow-500 hover:bg-yellow-400 text-black font-bold
+                       text-xs uppercase tracking-widest rounded-lg transition-all active:scale-95">
+            Retry wrong answers (${wrong.length})
+        </button>` : ''}
+        <a href="${source === 'mistakes' ? 'mistakes.html'
+        : source === 'review' ? 'index.html'
+        : source === 'custom' ? 'builder.html'
+        : `level.html?subject=${encodeURIComponent(subject)}&level=${encodeURIComponent(level)}`}"
+           class="flex-1 sm:flex-none text-center px-6 py-2.5 bg-slate-800 hover:bg-slate-700 text-white font-bold
                   text-xs uppercase tracking-widest rounded-lg transition-all border border-slate-700">
             Continue Learning →
         </a>
+        </div>
     </div>`;
 
     // Scroll to top
     document.getElementById('quiz-scroller')?.scrollTo({ top: 0, behavior: 'smooth' });
 
-    // Save + sync
-    const percent = Progress.saveResult(subject, level, set, score, questions.length, timeTaken);
-    API.syncResult(subject, level, set, score, questions.length, timeTaken);
+    // Save + sync — a generated round only updates the notebook and the
+    // review schedule, never a set's score; custom quizzes keep their own
+    // history and a final exam its level's certification. A retry round
+    // only feeds the notebook.
+    const details = exam
+        ? { mode: 'exam', timedOut, timeLimit: exam.limit, seed }
+        : { mode: learn ? 'learn' : 'practice', seed };
+    // One stamp for the local copy and the synced row — merging matches on it
+    details.timestamp = Date.now();
+    details.telemetry = _telemetryRows();
+    const hintIds = questions.filter((_, qIdx) => hinted[qIdx]).map(q => q.id);
+    if (hintIds.length) Object.assign(details, { hints: hintIds, hintWorth });
+    if (Object.keys(confidence).length) {
+        details.confidence = Object.fromEntries(
+            Object.entries(confidence).map(([qIdx, level]) => [questions[qIdx].id, level]));
+        details.calibration = _calibration(outcomes);
+    }
+    if (Progress.recordAnswers(subject, level, outcomes, clearAfter)) {
+        API.syncMistakes(Progress.getMistakeNotebook());
+    }
+    // Answers were just shown before a retry round — it says nothing about recall
+    if (!retryOf) Progress.scheduleAnswers(subject, outcomes);
+
+    let percent;
+    if (retryOf) {
+        Object.assign(details, { source: 'retry', firstPercent: retryOf.percent });
+        percent = Math.round((score / questions.length) * 100);
+    } else if (source === 'final') {
+        Object.assign(details, { source, passMark: finalRules.passMark });
+        percent = Progress.saveFinalResult(subject, level, score, questions.length, timeTaken, details);
+        API.syncResult(subject, level, 'final', score, questions.length, timeTaken, details);
+    } else if (source === 'custom') {
+        details.source = 'custom';
+        percent = Progress.saveCustomResult(getCustomSpec(), score, questions.length, timeTaken, details);
+    } else if (generated) {
+        details.source = source;
+        percent = Math.round((score / questions.length) * 100);
+    } else {
+        percent = Progress.saveResult(subject, level, set, score, questions.length, timeTaken, details);
+        API.syncResult(subject, level, set, score, questions.length, timeTaken, details);
+    }
+
+    _showResultModal(score, questions.length, percent, subject, level, details);
+
+    document.getElementById('btn-retry-wrong')?.addEventListener('click', () => {
+        _startRetry(wrong, retryOf || { percent });
+    });
+}
+
+/**
+ * Mini-round of just the questions answered wrongly, re-shuffled, run in
+ * place as untimed practice. It never saves a score or a draft.
+ */
+function _startRetry(items, first) {
+    retryOf = first;
+    seed = _newSeed();
+    questions = shuffle([...items], _rng(seed));
+    submitted = false;
+    answers = {};
+    revealed = {};
+    layout = {};
+    telemetry = {};
+    confidence = {};
+    hinted = {};
+    exam = null;
+    draftSlot = null;
+
+    document.getElementById('result-modal')?.remove();
+    document.getElementById('engine-timer-pill')
+        ?.classList.remove('border-orange-500/60', 'bg-orange-950/40', 'border-red-500/60', 'bg-red-950/40', 'animate-pulse');
+    const pill = document.getElementById('engine-score');
+    if (pill) pill.textContent = '0/0';
+
+    _render();
+    updateHeaderProgress(0, questions.length);
+    startTimer('engine-timer');
+    document.getElementById('quiz-scroller')?.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+/** Flag a wrong answer the student was sure of */
+function _markMisconception(card) {
+    (card?.querySelector('.q-extra') || card)?.insertAdjacentHTML('afterbegin', `
+        <span class="inline-block mt-4 mr-2 px-2 py-0.5 rounded text-[9px] font-black uppercase tracking-widest
+                     bg-fuchsia-950/60 text-fuchsia-300 border border-fuchsia-900/60"
+              title="Answered as sure, but wrong">Misconception</span>`);
+}
 
-    _showResultModal(score, questions.length, percent, subject, level);
+/** Flag a card the student never answered (exam time-out) */
+function _markUnanswered(card) {
+    if (!card) return;
+    card.classList.add('border-red-500/60');
+    (card.querySelector('.q-extra') || card).insertAdjacentHTML('afterbegin', `
+        <span class="inline-block mt-4 px-2 py-0.5 rounded text-[9px] font-black uppercase tracking-widest
+                     bg-red-950/60 text-red-400 border border-red-900/60">Not answered</span>`);
 }
 
 // ── MCQ reveal ───────────────────────────────────────────────────
@@ -561,13 +1909,15 @@ function _revealMCQ(card, qIdx, item) {
 
 // ── Fill reveal ──────────────────────────────────────────────────
 function _revealFill(card, qIdx, item) {
+    if (item.blanks) return _revealFillMulti(card, qIdx, item);
+
     const userAns = answers[qIdx];
     const correctText = item.options[item.answer];
     const blank = card?.querySelector(`#blank-${qIdx}`);
     let scored = 0;
 
     if (blank && userAns) {
-        blank.textContent = userAns.text;
+        blank.innerHTML = formatText(userAns.text);
         if (userAns.isCorrect) {
             scored = 1;
             blank.className = 'inline-block min-w-[90px] border-b-2 border-emerald-500 ' +
@@ -580,7 +1930,7 @@ function _revealFill(card, qIdx, item) {
                                              bg-emerald-950/80 border border-emerald-500/40
                                              px-2 py-0.5 rounded text-[9px] font-bold
                                              uppercase tracking-widest not-italic">
-                                     ${escapeHTML(correctText)}
+                                     ${formatText(correctText)}
                                  </span>`;
         }
     }
@@ -607,11 +1957,186 @@ function _revealFill(card, qIdx, item) {
     return scored;
 }
 
+// ── Multi-blank fill reveal ──────────────────────────────────────
+// Correct only when every blank is right; with `partialCredit` each
+// correct blank earns its share of the point instead.
+function _revealFillMulti(card, qIdx, item) {
+    const picks = answers[qIdx]?.picks || [];
+    let right = 0;
+
+    item.blanks.forEach((blankDef, bIdx) => {
+        const userAns = picks[bIdx];
+        const correctText = blankDef.options[blankDef.answer];
+        const blank = card?.querySelector(`#blank-${qIdx}-${bIdx}`);
+
+        if (userAns?.isCorrect) right++;
+
+        if (blank && userAns) {
+            blank.innerHTML = formatText(userAns.text);
+            if (userAns.isCorrect) {
+                blank.className = 'inline-block min-w-[90px] border-b-2 border-emerald-500 ' +
+                    'text-emerald-400 text-center px-2 mx-1 font-bold align-bottom';
+                blank.innerHTML += ' <span class="text-emerald-500 font-black">✓</span>';
+            } else {
+                blank.className = 'inline-block min-w-[90px] border-b-2 border-red-500 ' +
+                    'text-red-400 text-center px-2 mx-1 font-bold line-through opacity-70 align-bottom';
+                blank.innerHTML += ` <span class="text-emerald-400 no-underline ml-2
+                                                 bg-emerald-950/80 border border-emerald-500/40
+                                                 px-2 py-0.5 rounded text-[9px] font-bold
+                                                 uppercase tracking-widest not-italic">
+                                         ${formatText(correctText)}
+                                     </span>`;
+            }
+        }
+
+        card?.querySelector(`#fill-opts-${qIdx} [data-blank="${bIdx}"]`)
+            ?.querySelectorAll('button').forEach(btn => {
+                btn.disabled = true;
+                const text = btn.dataset.text;
+                if (text === correctText) {
+                    btn.className = 'px-4 py-2.5 rounded-lg border border-emerald-500 ' +
+                        'bg-emerald-950/50 text-emerald-400 font-medium text-sm';
+                } else if (userAns && text === userAns.text) {
+                    btn.className = 'px-4 py-2.5 rounded-lg border border-red-500 ' +
+                        'bg-red-950/30 text-red-400 font-medium text-sm';
+                } else {
+                    btn.className = 'px-4 py-2.5 rounded-lg border border-slate-800 ' +
+                        'bg-slate-950 text-slate-600 font-medium text-sm opacity-40';
+                }
+            });
+    });
+
+    const total = item.blanks.length;
+    if (right === total) return 1;
+    return item.partialCredit ? right / total : 0;
+}
+
+// ── Typed reveal ─────────────────────────────────────────────────
+function _revealType(card, qIdx, item) {
+    const userAns = answers[qIdx];
+    const input = card?.querySelector(`#type-${qIdx}`);
+    let scored = 0;
+
+    if (input) {
+        input.disabled = true;
+        if (userAns?.isCorrect) {
+            scored = 1;
+            input.className = 'type-input inline-block w-36 bg-transparent border-0 border-b-2 ' +
+                'border-emerald-500 text-emerald-400 text-center px-2 mx-1 font-bold align-bottom';
+            input.insertAdjacentHTML('afterend', ' <span class="text-emerald-500 font-black">✓</span>');
+        } else {
+            input.className = 'type-input inline-block w-36 bg-transparent border-0 border-b-2 ' +
+                'border-red-500 text-red-400 text-center px-2 mx-1 font-bold line-through opacity-70 align-bottom';
+            input.insertAdjacentHTML('afterend', ` <span class="text-emerald-400 ml-2
+                                                        bg-emerald-950/80 border border-emerald-500/40
+                                                        px-2 py-0.5 rounded text-[9px] font-bold
+                                                        uppercase tracking-widest">
+                                                ${escapeHTML(item.accepted[0])}
+                                            </span>`);
+        }
+    }
+
+    return scored;
+}
+
+// ── Error-spotting reveal ────────────────────────────────────────
+// The erroneous segment is struck through with its correction beside it;
+// a wrong pick is outlined in red.
+function _revealSpot(card, qIdx, item) {
+    const picked = answers[qIdx];
+    const scored = picked === item.errorIdx ? 1 : 0;
+
+    card?.querySelectorAll(`#spot-${qIdx} button`).forEach((btn, i) => {
+        btn.disabled = true;
+        if (i === item.errorIdx) {
+            btn.className = `${SPOT_BASE} ${scored
+                ? 'border-emerald-500 bg-emerald-950/50 text-emerald-400'
+                : 'border-red-500/60 bg-red-950/30 text-red-400'} line-through`;
+            btn.insertAdjacentHTML('afterend', `
+                <span class="inline-flex items-center gap-1 ml-1 px-2 py-0.5 rounded
+                             bg-emerald-950/80 border border-emerald-500/40 text-emerald-400
+                             text-[9px] font-bold uppercase tracking-widest">
+                    ${scored ? '✓' : ''} ${item.correction ? escapeHTML(item.correction) : 'Error'}
+                </span>`);
+        } else if (i === picked) {
+            btn.className = `${SPOT_BASE} border-red-500 border-dashed text-red-400`;
+        } else {
+            btn.className = `${SPOT_BASE} border-transparent text-slate-400`;
+        }
+    });
+
+    return scored;
+}
+
+// ── Reorder reveal ───────────────────────────────────────────────
+// Correct when the built sentence matches the token order or any accepted
+// alternative. Otherwise each placed word is marked against the expected
+// position and the correct sentence is shown underneath.
+function _revealOrder(card, qIdx, item) {
+    const order = answers[qIdx]?.order || [];
+    const built = normalizeAnswer(order.map(i => item.tokens[i]).join(' '));
+    const scored = item.accepted.some(a => normalizeAnswer(a) === built) ? 1 : 0;
+
+    card?.querySelectorAll(`#order-line-${qIdx} button`).forEach((btn, pos) => {
+        btn.disabled = true;
+        const inPlace = scored ||
+            normalizeAnswer(item.tokens[order[pos]]) === normalizeAnswer(item.tokens[pos]);
+        btn.className = `${ORDER_TOKEN} ${inPlace
+            ? 'border-emerald-500 bg-emerald-950/50 text-emerald-400'
+            : 'border-red-500 bg-red-950/30 text-red-400'}`;
+    });
+    card?.querySelectorAll(`#order-pool-${qIdx} button`).forEach(btn => {
+        btn.disabled = true;
+        btn.className = `${ORDER_TOKEN} border-slate-800 bg-slate-950 text-slate-600 opacity-40`;
+    });
+
+    if (!scored) {
+        card?.querySelector(`#order-line-${qIdx}`)?.insertAdjacentHTML('afterend', `
+            <p class="mt-3 inline-flex flex-wrap items-center gap-2 px-3 py-1.5 rounded-lg
+                      bg-emerald-950/60 border border-emerald-500/40 text-emerald-400 text-sm font-bold">
+                <span class="text-[9px] uppercase tracking-widest">✓ Correct</span>
+                ${escapeHTML(item.accepted[0])}
+            </p>`);
+    }
+
+    return scored;
+}
+
+// ── Explanation panel ────────────────────────────────────────────
+// Collapsible "Why?" panel under a revealed card. Renders nothing when
+// the question carries neither an explanation nor a rule reference.
+function _revealExplanation(card, item) {
+    if (!card || (!item.explanation && !item.rule)) return;
+    const slot = card.querySelector('.q-extra') || card;
+
+    const panel = document.createElement('details');
+    panel.className = 'q-explain group mt-4 rounded-lg border border-slate-800 bg-slate-950/60 overflow-hidden';
+    panel.innerHTML = `
+        <summary class="px-4 py-2.5 cursor-pointer select-none list-none flex items-center gap-2
+                        text-[10px] font-black uppercase tracking-widest text-blue-400
+                        hover:text-blue-300 transition-colors">
+            <svg class="w-3.5 h-3.5 shrink-0 transition-transform duration-200 group-open:rotate-90"
+                 fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2.5" d="M9 5l7 7-7 7"/>
+            </svg>
+            Why?
+            ${item.rule
+            ? `<span class="ml-auto text-[9px] font-bold text-slate-500 normal-case tracking-normal truncate">
+                   ${escapeHTML(item.rule)}
+               </span>` : ''}
+        </summary>
+        ${item.explanation
+            ? `<p class="px-4 pb-4 text-sm text-slate-300 font-medium leading-relaxed">
+                   ${formatText(item.explanation)}
+               </p>` : ''}`;
+    slot.appendChild(panel);
+}
+
 // ================================================================
 // RESULT MODAL
 // ================================================================
-function _showResultModal(score, total, percent, subject, level) {
-    const passed = percent >= 80;
+function _showResultModal(score, total, percent, subject, level, details = {}) {
+    const passed = percent >= (details.passMark ?? 80);
     if (passed) fireConfetti();
 
     const modal = document.createElement('div');
@@ -619,8 +2144,8 @@ function _showResultModal(score, total, percent, subject, level) {
     modal.className = 'fixed inset-0 z-[200] flex items-center justify-center p-4 ' +
         'bg-black/90 backdrop-blur-md animate-enter';
     modal.innerHTML = `
-    <div class="bg-slate-950 border border-slate-800 rounded-2xl p-8 max-w-sm w-full
-                text-center shadow-2xl relative overflow-hidden">
+    <div class="bg-slate-950 border border-slate-800 rounded-2xl p-8 max-w-sm w-full max-h-[90vh]
+                text-center shadow-2xl relative overflow-x-hidden overflow-y-auto">
 
         <!-- Glow -->
         <div class="absolute top-0 left-1/2 -translate-x-1/2 w-72 h-32
@@ -638,13 +2163,32 @@ function _showResultModal(score, total, percent, subject, level) {
                 <span class="text-2xl font-black leading-none">${percent}%</span>
             </div>
 
+            ${details.timedOut
+            ? `<div class="inline-block mb-3 px-2.5 py-1 rounded-md text-[9px] font-black uppercase
+                           tracking-widest bg-red-950/70 text-red-400 border border-red-900/70">
+                   ⏱ Time's up
+               </div>` : ''}
             <h2 class="text-2xl font-black text-white uppercase tracking-tight mb-2">
                 ${passed ? '🎉 Outstanding!' : 'Keep Going!'}
             </h2>
             <p class="text-slate-400 text-xs font-medium mb-6 leading-relaxed">
-                ${passed
-            ? 'You have unlocked the Question PDF for this practice set!'
-            : 'Score 80% or higher to unlock the downloadable Question PDF.'}
+                ${details.source === 'retry'
+            ? `Retry round — your first try (${details.firstPercent}%) stays as the recorded score.`
+            : details.source === 'mistakes'
+            ? `A question leaves your notebook after ${clearAfter} correct answers in a row.`
+            : details.source === 'review'
+            ? 'Review done — questions you knew come back less often.'
+            : details.source === 'custom'
+            ? 'Saved to your custom quiz history — set scores are not affected.'
+            : details.source === 'final'
+            ? passed
+                ? 'Level certified — well done!'
+                : `Score ${details.passMark}% or higher to certify this level. Try again after the cooldown.`
+            : details.mode === 'learn'
+            ? 'Learning-mode attempt — it never replaces your best practice score.'
+            : passed
+                ? 'You have unlocked the Question PDF for this practice set!'
+                : 'Score 80% or higher to unlock the downloadable Question PDF.'}
             </p>
 
             <!-- Score breakdown -->
@@ -665,6 +2209,14 @@ function _showResultModal(score, total, percent, subject, level) {
                 </div>
             </div>
 
+            ${details.hints ? `
+            <p class="text-[10px] text-sky-300/80 font-bold uppercase tracking-widest -mt-2 mb-5">
+                💡 ${details.hints.length} hint${details.hints.length !== 1 ? 's' : ''} used
+                — each hinted question worth ${details.hintWorth} pt
+            </p>` : ''}
+            ${_calibrationHTML(details.calibration)}
+            ${_slowestHTML(details.telemetry)}
+
             <!-- Buttons -->
             <div class="flex flex-col gap-2">
                 <button id="btn-review"
@@ -673,7 +2225,7 @@ function _showResultModal(score, total, percent, subject, level) {
                                transition-all active:scale-95">
                     Review Answers
                 </button>
-                ${!passed
+                ${!passed && details.source !== 'final'
             ? `<button onclick="location.reload()"
                               class="w-full py-3 rounded-xl border border-slate-800
                                      hover:bg-slate-900 text-slate-300 font-bold
@@ -681,6 +2233,13 @@ function _showResultModal(score, total, percent, subject, level) {
                            Retry Set
                        </button>` : ''}
             </div>
+
+            <!-- Paper code: ?seed= replays the same questions and option order (not a final or a retry round) -->
+            <p class="mt-4 text-[9px] font-bold uppercase tracking-widest text-slate-600"
+               ${!['final', 'retry'].includes(details.source)
+            ? `title="Add &seed=${escapeHTML(details.seed)} to the practice link to replay this paper"` : ''}>
+                Paper code <span class="font-mono normal-case text-slate-400">${escapeHTML(details.seed)}</span>
+            </p>
         </div>
     </div>`;
 
@@ -692,6 +2251,64 @@ function _showResultModal(score, total, percent, subject, level) {
         document.getElementById('quiz-scroller')
             ?.scrollTo({ top: 0, behavior: 'smooth' });
     });
+
+    // A slow question jumps straight to its card
+    modal.querySelectorAll('[data-slow]').forEach(btn => btn.addEventListener('click', () => {
+        modal.classList.add('opacity-0');
+        setTimeout(() => modal.remove(), 300);
+        document.getElementById(`qcard-${btn.dataset.slow}`)
+            ?.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+    }));
+}
+
+/** Sure / guessing against right / wrong — only when the student rated answers */
+function _calibrationHTML(cal) {
+    if (!cal) return '';
+    const cell = (label, n, color) => `
+                <div>
+                    <div class="text-[9px] text-slate-500 uppercase tracking-widest font-bold mb-1">${label}</div>
+                    <div class="text-xl font-black ${n ? color : 'text-slate-600'}">${n}</div>
+                </div>`;
+    return `
+            <div class="bg-slate-900 border border-slate-800 p-4 rounded-xl mb-5">
+                <div class="text-[9px] text-slate-500 uppercase tracking-widest font-bold mb-3">Confidence check</div>
+                <div class="grid grid-cols-2 gap-3">
+                    ${cell('Sure &amp; right', cal.sureRight, 'text-emerald-400')}
+                    ${cell('Sure &amp; wrong', cal.sureWrong, 'text-fuchsia-300')}
+                    ${cell('Guessed &amp; right', cal.guessRight, 'text-yellow-400')}
+                    ${cell('Guessed &amp; wrong', cal.guessWrong, 'text-orange-400')}
+                </div>
+                ${cal.sureWrong ? `
+                <p class="text-[10px] text-slate-500 font-medium mt-3 leading-relaxed">
+                    Answers you were sure of but got wrong are flagged as misconceptions
+                    in your mistake notebook — worth asking your teacher about.
+                </p>` : ''}
+            </div>`;
+}
+
+/** The three questions the student spent longest on, from the attempt's telemetry */
+function _slowestHTML(rows = []) {
+    const slow = rows.map((r, i) => ({ ...r, i }))
+        .filter(r => r.dwell >= 1)
+        .sort((a, b) => b.dwell - a.dwell)
+        .slice(0, 3);
+    if (!slow.length) return '';
+
+    const secs = s => s >= 60 ? `${Math.floor(s / 60)}m ${Math.round(s % 60)}s` : `${Math.round(s)}s`;
+    return `
+            <div class="text-left bg-slate-900 border border-slate-800 p-4 rounded-xl mb-5">
+                <div class="text-[9px] text-slate-500 uppercase tracking-widest font-bold mb-2">Slowest questions</div>
+                ${slow.map(r => `
+                <button data-slow="${r.i}"
+                        class="w-full flex items-center gap-3 py-1.5 text-xs font-bold text-slate-300
+                               hover:text-yellow-400 transition-colors">
+                    <span class="text-slate-500">Q${String(r.i + 1).padStart(2, '0')}</span>
+                    <span class="flex-1 text-left text-[10px] uppercase tracking-widest text-slate-500">
+                        ${r.changes ? `changed ${r.changes}×` : ''}
+                    </span>
+                    <span class="text-orange-400">${secs(r.dwell)}</span>
+                </button>`).join('')}
+            </div>`;
 }
 
 // ── Boot ─────────────────────────────────────────────────────────
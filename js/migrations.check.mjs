@@ -0,0 +1,73 @@
+// ================================================================
+// student-panel/js/migrations.check.mjs
+// Runs every migration against fixtures of stored progress:
+//   node js/migrations.check.mjs
+// Exits non-zero on the first failed check.
+// ================================================================
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { MIGRATIONS, SCHEMA_VERSION, versionOf, migrate } from './migrations.js';
+
+const fixture = name => JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+
+function check(name, fn) {
+    fn();
+    console.log(`ok - ${name}`);
+}
+
+// ── v2 → v3: attempt histories ─────────────────────────────────
+const v2 = fixture('progress-v2.json');
+const before = structuredClone(v2);
+const v3 = MIGRATIONS[2](v2);
+
+check('v2 data carries no version stamp', () => {
+    assert.equal(versionOf(v2), 2);
+});
+
+check('every set starts its history from its stored best', () => {
+    for (const [subject, level, set] of [['tenses', 'middle', '1'], ['tenses', 'middle', '2'], ['sva', 'primary', '1']]) {
+        const old = v2[subject][level][set];
+        const entry = v3[subject][level][set];
+        assert.equal(entry.attempts.length, 1);
+        assert.deepEqual(entry.attempts[0], {
+            score: old.score, total: old.total, percentage: old.percentage,
+            timeTaken: old.timeTaken || 0, mode: old.mode || 'practice',
+            date: old.date, timestamp: old.timestamp
+        });
+        assert.equal(entry.attemptCount, 1);
+    }
+});
+
+check('a best score keeps its own fields and mode', () => {
+    const { attempts, attemptCount, ...rest } = v3.tenses.middle['2'];
+    assert.deepEqual(rest, v2.tenses.middle['2']);
+    assert.equal(v3.tenses.middle['3'].mode, 'learn');
+    assert.equal(v3.tenses.middle['1'].mode, 'practice');
+});
+
+check('student and level meta pass through untouched', () => {
+    assert.deepEqual(v3._meta, v2._meta);
+    assert.deepEqual(v3.tenses.middle._meta, v2.tenses.middle._meta);
+    assert.deepEqual(v3.tenses.high, {});
+});
+
+check('the input is left untouched', () => {
+    assert.deepEqual(v2, before);
+});
+
+check('running the step twice changes nothing', () => {
+    assert.deepEqual(MIGRATIONS[2](v3), v3);
+});
+
+// ── migrate() ──────────────────────────────────────────────────
+check('migrate() stamps the current version', () => {
+    const out = migrate(v2);
+    assert.equal(versionOf(out), SCHEMA_VERSION);
+    assert.deepEqual(migrate(out), out);
+    assert.deepEqual(v2, before);
+});
+
+check('migrate() refuses data from a newer build', () => {
+    assert.throws(() => migrate({ _meta: { schemaVersion: SCHEMA_VERSION + 1 } }), /newer than this page/);
+});
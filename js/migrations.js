@@ -0,0 +1,85 @@
+// ================================================================
+// student-panel/js/migrations.js
+// Progress schema versions. The version is stored with the data
+// (`_meta.schemaVersion`); migrate() upgrades an older shape one step at
+// a time through MIGRATIONS and refuses data newer than this build.
+// Every migration is pure — a progress object in, a new one out — so
+// each is run against fixtures of real stored data in js/fixtures by
+// `node js/migrations.check.mjs`; add a fixture with every new step.
+// ================================================================
+
+// Data saved before versioning carries no schemaVersion: it is v2, the
+// shape stored under 'grammarhub_progress_v2'
+const UNVERSIONED = 2;
+
+/** Walk every set entry of a progress object → a copy with `fn(entry)` in its place */
+function _mapSets(data, fn) {
+    const out = {};
+    for (const [subject, levels] of Object.entries(data)) {
+        if (subject === '_meta' || !levels || typeof levels !== 'object') {
+            out[subject] = levels;
+            continue;
+        }
+        out[subject] = {};
+        for (const [level, sets] of Object.entries(levels)) {
+            if (level === '_meta' || !sets || typeof sets !== 'object') {
+                out[subject][level] = sets;
+                continue;
+            }
+            out[subject][level] = {};
+            for (const [set, entry] of Object.entries(sets)) {
+                out[subject][level][set] = set === '_meta' || !entry || typeof entry !== 'object'
+                    ? entry
+                    : fn(entry);
+            }
+        }
+    }
+    return out;
+}
+
+// ── Registry ─────────────────────────────────────────────────────
+// MIGRATIONS[n] upgrades version n to n + 1. Add new steps at the end and
+// bump nothing else — SCHEMA_VERSION follows from the registry. A step
+// should leave data already in the new shape alone, so a lost version
+// stamp costs nothing.
+export const MIGRATIONS = {
+    // v3: every set keeps an attempt history next to its best score. A v2
+    // entry only knows its best attempt, so the history starts there.
+    2: data => _mapSets(data, entry => ({
+        ...entry,
+        mode: entry.mode || 'practice',
+        attempts: Array.isArray(entry.attempts) ? entry.attempts : [{
+            score: entry.score, total: entry.total, percentage: entry.percentage || 0,
+            timeTaken: entry.timeTaken || 0, mode: entry.mode || 'practice',
+            date: entry.date || '', timestamp: entry.timestamp || 0
+        }],
+        attemptCount: entry.attemptCount || (Array.isArray(entry.attempts) ? entry.attempts.length : 1)
+    }))
+};
+
+export const SCHEMA_VERSION = Math.max(UNVERSIONED, ...Object.keys(MIGRATIONS).map(Number)) + 1;
+
+/** The schema version a progress object was saved with */
+export function versionOf(data) {
+    const v = data?._meta?.schemaVersion;
+    return Number.isInteger(v) ? v : UNVERSIONED;
+}
+
+/**
+ * Upgrade a progress object to SCHEMA_VERSION → a new object stamped with
+ * the version (the input is left untouched). Throws on data newer than
+ * this build — downgrading would drop whatever the newer shape added.
+ */
+export function migrate(data) {
+    let version = versionOf(data);
+    if (version > SCHEMA_VERSION) {
+        throw new Error(`Progress data is schema v${version}, newer than this page (v${SCHEMA_VERSION})`);
+    }
+    let out = data || {};
+    for (; version < SCHEMA_VERSION; version++) {
+        const step = MIGRATIONS[version];
+        if (!step) throw new Error(`No migration from progress schema v${version}`);
+        out = step(out);
+    }
+    return { ...out, _meta: { ...(out._meta || {}), schemaVersion: SCHEMA_VERSION } };
+}
@@ -0,0 +1,155 @@
+// ================================================================
+// student-panel/js/mistakes.js
+// Drives mistakes.html — the mistake notebook, grouped by subject and
+// level, with a "practise these" set per group.
+// ================================================================
+
+import { Progress } from './progress.js';
+import { checkAuth } from './auth-guard.js';
+import { SUBJECTS, LEVEL_ORDER as LEVELS, LEVEL_LABEL, escapeHTML, formatText } from './app.js';
+import { API } from '../backend/api.js';
+
+// ── Authentication guard ────────────────────────────────────────
+await checkAuth();
+
+// ── Tailwind extension ──────────────────────────────────────────
+if (typeof tailwind !== 'undefined') {
+    tailwind.config = {
+        theme: {
+            extend: {
+                fontFamily: { sans: ['Inter', 'sans-serif'] },
+                colors: {
+                    gold: { 400: '#FACC15', 500: '#EAB308', 600: '#CA8A04' },
+                    slate: { 850: '#1a2234', 900: '#0f172a', 950: '#020617' }
+                }
+            }
+        }
+    };
+}
+
+// ── Helpers ─────────────────────────────────────────────────────
+const esc = escapeHTML;
+const _subjectInfo = {};   // subject → { title, clearAfter }, loaded once
+
+async function _loadSubject(sub) {
+    if (!(sub in _subjectInfo)) {
+        let config = {};
+        try {
+            const mod = await import(`../data/${sub}/std-config.js`);
+            config = mod.default || {};
+        } catch { /* fall back to defaults */ }
+        _subjectInfo[sub] = {
+            title: config.title || sub.replace(/-/g, ' '),
+            clearAfter: config.mistakes?.clearAfter || 2
+        };
+    }
+    return _subjectInfo[sub];
+}
+
+function _set(id, val) {
+    const el = document.getElementById(id);
+    if (el) el.textContent = val;
+}
+
+// ── Init ─────────────────────────────────────────────────────────
+document.addEventListener('DOMContentLoaded', () => {
+
+    // ── Render from local data FIRST (non-blocking) ──────────────
+    _renderNotebook();
+
+    // ── Then adopt a newer notebook from another device ──────────
+    API.fetchMistakes().then(res => {
+        if (res?.success && Progress.mergeMistakeNotebook(res.notebook)) _renderNotebook();
+    }).catch(() => { /* non-blocking */ });
+
+    // ── Remove a single entry ────────────────────────────────────
+    document.getElementById('mistake-list')?.addEventListener('click', e => {
+        const btn = e.target.closest('[data-remove]');
+        if (!btn) return;
+        Progress.removeMistake(btn.dataset.subject, btn.dataset.level, btn.dataset.remove);
+        API.syncMistakes(Progress.getMistakeNotebook());
+        _renderNotebook();
+    });
+});
+
+async function _renderNotebook() {
+    const list = document.getElementById('mistake-list');
+    if (!list) return;
+
+    const all = Progress.getMistakes();
+    _set('mistake-count', `${all.length} question${all.length !== 1 ? 's' : ''}`);
+
+    if (all.length === 0) {
+        list.innerHTML = `
+        <div class="text-center py-10 bg-slate-900/50 rounded-2xl border border-slate-800/60">
+            <p class="text-slate-600 font-bold text-[10px] uppercase tracking-widest">
+                No mistakes noted — wrong answers from your practice sets show up here.
+            </p>
+        </div>`;
+        return;
+    }
+
+    // Known subjects first, in dashboard order; then levels in course order
+    const subjects = [...new Set(all.map(m => m.subject))].sort((a, b) =>
+        (SUBJECTS.indexOf(a) + 1 || 99) - (SUBJECTS.indexOf(b) + 1 || 99));
+
+    const groups = [];
+    for (const sub of subjects) {
+        const info = await _loadSubject(sub);
+        for (const lvl of LEVELS) {
+            const entries = all.filter(m => m.subject === sub && m.level === lvl);
+            if (entries.length) groups.push(_groupHTML(sub, lvl, info, entries, groups.length));
+        }
+    }
+    list.innerHTML = groups.join('');
+}
+
+function _groupHTML(sub, lvl, { title, clearAfter }, entries, i) {
+    const practiceUrl = `practice.html?subject=${encodeURIComponent(sub)}` +
+        `&level=${encodeURIComponent(lvl)}&source=mistakes`;
+
+    return `
+    <section class="bg-slate-900 border border-slate-800/80 rounded-2xl overflow-hidden
+                    shadow-md shadow-black/10 animate-enter"
+             style="animation-delay:${i * 50}ms">
+        <div class="flex flex-wrap items-center justify-between gap-3 px-4 sm:px-5 py-4
+                    border-b border-slate-800">
+            <div class="min-w-0">
+                <h3 class="text-sm font-black text-white uppercase tracking-tight truncate">${esc(title)}</h3>
+                <p class="text-[9px] font-bold uppercase tracking-widest text-slate-500 mt-1">
+                    ${esc(LEVEL_LABEL[lvl] || lvl)}
+                    <span class="opacity-30 mx-1">•</span>
+                    ${entries.length} question${entries.length !== 1 ? 's' : ''}
+                </p>
+            </div>
+            <a href="${practiceUrl}"
+               class="shrink-0 px-4 py-2.5 rounded-lg bg-yellow-500 hover:bg-yellow-400 text-black
+                      font-bold text-[10px] uppercase tracking-widest transition-all active:scale-95">
+                Practise these →
+            </a>
+        </div>
+        <ul class="divide-y divide-slate-800/70">
+            ${entries.map(m => `
+            <li class="flex items-start gap-3 px-4 sm:px-5 py-3.5">
+                <div class="flex-1 min-w-0">
+                    <p class="text-sm font-bold text-white leading-relaxed">${formatText(m.q)}</p>
+                    <p class="text-xs font-medium text-emerald-400 mt-1">✓ ${formatText(m.correct || '')}</p>
+                    <div class="flex flex-wrap items-center gap-1 mt-1.5 text-[9px] font-bold
+                                text-slate-500 uppercase tracking-widest">
+                        <span>Set ${esc(m.set)}</span>
+                        <span class="opacity-30">•</span>
+                        <span class="text-red-400/80">Missed ×${m.wrong || 1}</span>
+                        ${m.misconception ? `<span class="opacity-30">•</span>
+                        <span class="text-fuchsia-300" title="Answered as sure, but wrong">Misconception</span>` : ''}
+                        ${m.streak ? `<span class="opacity-30">•</span>
+                        <span class="text-emerald-500/80">${m.streak}/${clearAfter} right in a row</span>` : ''}
+                    </div>
+                </div>
+                <button data-remove="${esc(m.id)}" data-subject="${esc(m.subject)}" data-level="${esc(m.level)}"
+                        class="shrink-0 w-7 h-7 rounded-md border border-slate-800 text-slate-500
+                               hover:text-red-400 hover:border-red-900/60 transition-all"
+                        aria-label="Remove from notebook" title="Remove from notebook">×</button>
+            </li>`).join('')}
+        </ul>
+    </section>`;
+}
@@ -6,6 +6,7 @@
 import { Progress } from './progress.js';
 import { checkAuth, logout } from './auth-guard.js';
 import { SUBJECTS, LEVEL_ORDER as LEVELS, escapeHTML } from './app.js';
+import { lineChart, barChart, chartLegend, chartTable, SERIES_COLORS } from './charts.js';
 
 // ── Authentication guard ────────────────────────────────────────
 await checkAuth();
@@ -30,6 +31,8 @@ if (typeof tailwind !== 'undefined') {
 
 // ── Helpers ─────────────────────────────────────────────────────
 const esc = escapeHTML;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const CHART_WEEKS = 12;   // the charts cover at most the last 12 weeks
 
 function formatTime(totalSeconds) {
     if (!totalSeconds || totalSeconds <= 0) return '0m';
@@ -130,12 +133,14 @@ async function _renderProfile() {
     if (!breakdown) return;
 
     const subjectCards = [];
+    const titles = {};
     for (const sub of SUBJECTS) {
         let config = null;
         try {
             const mod = await import(`../data/${sub}/std-config.js`);
             config = mod.default;
         } catch { continue; }
+        titles[sub] = config.title || sub.replace(/-/g, ' ');
 
         const subData = data[sub];
         if (!subData) continue;
@@ -195,6 +200,8 @@ async function _renderProfile() {
                </p>
            </div>`;
 
+    _renderCharts(data, titles);
+
     // ── Recent Activity ─────────────────────────────────────────
     const activityEl = document.getElementById('recent-activity');
     if (!activityEl) return;
@@ -243,6 +250,113 @@ async function _renderProfile() {
     }
 }
 
+// ── Progress over time ───────────────────────────────────────────
+// Weekly charts from the stored attempt histories: average score, time
+// spent, and sets completed so far per subject. Each chart carries a
+// table of the same numbers as its text alternative.
+
+/** Monday 00:00 (local) of the week holding `ts` */
+function _weekStart(ts) {
+    const d = new Date(ts);
+    d.setHours(0, 0, 0, 0);
+    d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+    return d.getTime();
+}
+
+function _chartCard(title, chart, extra = '', span = '') {
+    return `
+    <figure class="${span} bg-slate-900 border border-slate-800/80 rounded-2xl p-4 sm:p-5
+                   shadow-md shadow-black/10 animate-enter">
+        <figcaption class="text-[9px] sm:text-[10px] text-slate-500 font-black tracking-widest uppercase mb-3">
+            ${esc(title)}
+        </figcaption>
+        ${chart}
+        ${extra}
+    </figure>`;
+}
+
+function _renderCharts(data, titles) {
+    const el = document.getElementById('progress-charts');
+    if (!el) return;
+
+    const attempts = [];
+    const firstDone = [];   // { subject, ts } — when each set was first attempted
+    let unkept = 0;         // attempts dropped from busy sets' histories (see progress.js)
+    _walkResults(data, (entry, subject, level, set) => {
+        const kept = Progress.getAttempts(subject, level, set);
+        unkept += Math.max(0, (entry.attemptCount || 0) - kept.length);
+        const history = kept.filter(a => a.timestamp > 0);
+        attempts.push(...history);
+        if (history.length) firstDone.push({ subject, ts: history[0].timestamp });
+    });
+    if (!attempts.length) return;
+
+    // A set keeps only its first and latest attempts, so the weekly score and
+    // time undercount a set practised that often — said rather than hidden
+    const partly = unkept ? ' (first and latest attempts of each set)' : '';
+    const note = unkept ? `
+        <p class="mt-2 text-[9px] font-bold text-slate-600 uppercase tracking-widest">
+            Counts each set's first and latest attempts · ${unkept} older attempt${unkept !== 1 ? 's' : ''} not included
+        </p>` : '';
+
+    const thisWeek = _weekStart(Date.now());
+    const earliest = _weekStart(Math.min(...attempts.map(a => a.timestamp)));
+    const start = Math.max(earliest, thisWeek - (CHART_WEEKS - 1) * WEEK_MS);
+    // Rounded — a week across a clock change is an hour short or long
+    const count = Math.round((thisWeek - start) / WEEK_MS) + 1;
+    const weekOf = ts => Math.round((_weekStart(ts) - start) / WEEK_MS);
+    const labels = Array.from({ length: count }, (_, i) =>
+        new Date(start + i * WEEK_MS + WEEK_MS / 14).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
+
+    const scoreSum = Array(count).fill(0), tries = Array(count).fill(0), seconds = Array(count).fill(0);
+    for (const a of attempts) {
+        const w = weekOf(a.timestamp);
+        if (w < 0 || w >= count) continue;
+        scoreSum[w] += a.percentage || 0;
+        tries[w]++;
+        seconds[w] += a.timeTaken || 0;
+    }
+    const avg = scoreSum.map((s, i) => tries[i] ? Math.round(s / tries[i]) : null);
+    const minutes = seconds.map(s => Math.round(s / 6) / 10);
+
+    const subjects = [...new Set(firstDone.map(f => f.subject))].sort((a, b) =>
+        (SUBJECTS.indexOf(a) + 1 || 99) - (SUBJECTS.indexOf(b) + 1 || 99));
+    const series = subjects.map((sub, i) => ({
+        name: titles[sub] || sub.replace(/-/g, ' '),
+        color: SERIES_COLORS[i % SERIES_COLORS.length],
+        // Running total at the end of each week, counting sets done before the window
+        values: labels.map((_, w) => firstDone.filter(f => f.subject === sub && weekOf(f.ts) <= w).length)
+    }));
+
+    const weeks = labels.map(l => `Week of ${l}`);
+    el.innerHTML = [
+        _chartCard('Average score by week',
+            lineChart([{ name: 'Average score', color: SERIES_COLORS[0], values: avg }], labels, {
+                max: 100, unit: '%',
+                label: `Average score by week${partly}, ${avg.filter(v => v !== null).length} weeks with practice`
+            }),
+            note +
+            chartTable(`Average score by week${partly}`, ['Week', 'Average', 'Attempts'],
+                weeks.map((w, i) => [w, avg[i] === null ? '—' : `${avg[i]}%`, tries[i]]))),
+        _chartCard('Time spent by week',
+            barChart(minutes, labels, {
+                color: SERIES_COLORS[1], unit: 'm',
+                label: `Minutes practised by week${partly}, ${formatTime(seconds.reduce((a, b) => a + b, 0))} in total`
+            }),
+            note +
+            chartTable(`Time spent by week${partly}`, ['Week', 'Time'],
+                weeks.map((w, i) => [w, formatTime(seconds[i])]))),
+        _chartCard('Sets completed by subject',
+            lineChart(series, labels, {
+                label: `Sets completed by subject: ${series.map(s => `${s.name} ${s.values[count - 1]}`).join(', ')}`
+            }),
+            chartLegend(series) +
+            chartTable('Sets completed by subject', ['Week', ...series.map(s => s.name)],
+                weeks.map((w, i) => [w, ...series.map(s => s.values[i])])),
+            'lg:col-span-2')
+    ].join('');
+}
+
 // ── Walk all results ─────────────────────────────────────────────
 function _walkResults(data, callback) {
     for (const sub of Object.keys(data)) {
@@ -1,19 +1,431 @@
 // ================================================================
 // student-panel/js/progress.js
-// All localStorage read/write. Single source of truth.
+// All progress storage read/write (IndexedDB, localStorage). Single
+// source of truth.
 // Session cache layer for instant dashboard rendering.
 // ================================================================
 
+import { DB } from './db.js';
+import { migrate, versionOf, SCHEMA_VERSION } from './migrations.js';
+
 const STORAGE_KEY = 'grammarhub_progress_v2';
 const CACHE_KEY = 'grammarhub_dashboard_cache';
+const DRAFT_KEY = 'grammarhub_drafts_v1';
+const MISTAKE_KEY = 'grammarhub_mistakes_v1';
+const MAX_MISTAKES = 300;   // oldest entries go first — keeps the synced copy small
+const CLEARED_TTL_MS = 90 * 24 * 60 * 60 * 1000;   // how long a cleared entry stays cleared on other devices
+const REVIEW_KEY = 'grammarhub_review_v1';
+const MAX_REVIEWS = 1500;   // best-known questions go first, then the longest unseen
+const IDB_KEY = 'grammarhub_on_idb';   // set once results live in IndexedDB
+const CUSTOM_KEY = 'grammarhub_custom_v1';   // custom quiz history — never mixed with set results
+const MAX_CUSTOM = 50;
+const MAX_ATTEMPTS = 20;   // per set — the first attempt plus the most recent ones
+// Leitner boxes: a question in box n comes back REVIEW_DAYS[n - 1] days later.
+// A correct answer moves it up one box, a wrong one back to box 1.
+const REVIEW_DAYS = [1, 2, 4, 8, 16, 32];
+const DAY_MS = 24 * 60 * 60 * 1000;
 const PREFETCH_TIMEOUT_MS = 5000;
 
 // In-flight sync guard — prevents parallel syncFromBackend calls
 let _inflightSync = null;
 
+// ── Storage backend ─────────────────────────────────────────────
+// Once Progress.ready() has opened IndexedDB, set results (with their
+// attempt histories) and drafts live there and are held in `_mem`, so every
+// read stays synchronous: writes update memory at once and reach the
+// database in the background. The profile `_meta` stays in the STORAGE_KEY
+// blob, which auth-guard.js and api.js edit directly. Without IndexedDB
+// everything stays in localStorage, as before.
+let _mem = null;   // { results, drafts } while IndexedDB is in use
+let _ready = null;
+// Stored data from a newer build (see migrations.js) — readable, never overwritten
+let _frozen = false;
+// Results already moved to IndexedDB could not be read this visit
+let _unreadable = false;
+// Other tabs hold their own copy in memory — keep them current
+const _channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('grammarhub_progress') : null;
+if (_channel) {
+    _channel.onmessage = e => {
+        const { key, value } = e.data || {};
+        if (_mem && key in _mem) _mem[key] = value;
+    };
+}
+
+function _persist(key, value) {
+    DB.set(key, value).then(ok => {
+        if (!ok) console.warn(`[Progress] IndexedDB save of ${key} failed`);
+    });
+    try { _channel?.postMessage({ key, value }); } catch { /* not cloneable — other tabs reload later */ }
+}
+
+/** The raw localStorage blob — full progress, or only `_meta` once on IndexedDB */
+function _readBlob() {
+    try {
+        const raw = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return raw && typeof raw === 'object' ? raw : {};
+    } catch { return {}; }
+}
+
+/** Store a whole progress object, as returned by getAll() and then edited */
+function _saveData(data) {
+    if (_frozen) {
+        console.warn('[Progress] Not saving — stored progress is from a newer version of the app.');
+        return;
+    }
+    if (!_mem) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+        } catch (e) {
+            console.warn('[Progress] localStorage save failed (quota?):', e.message);
+        }
+        return;
+    }
+    const { _meta, ...results } = data;
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(_meta ? { _meta } : {})); }
+    catch (e) { console.warn('[Progress] localStorage meta save failed:', e.message); }
+    _mem.results = results;
+    _persist('results', results);
+}
+
+function _readLocalDrafts() {
+    try {
+        const raw = JSON.parse(localStorage.getItem(DRAFT_KEY));
+        return raw && typeof raw === 'object' ? raw : {};
+    } catch { return {}; }
+}
+
+function _getDrafts() {
+    return _mem ? _mem.drafts : _readLocalDrafts();
+}
+
+function _saveDrafts(drafts) {
+    if (_mem) {
+        _mem.drafts = drafts;
+        _persist('drafts', drafts);
+        return;
+    }
+    try {
+        if (Object.keys(drafts).length) localStorage.setItem(DRAFT_KEY, JSON.stringify(drafts));
+        else localStorage.removeItem(DRAFT_KEY);
+    } catch { /* quota exceeded — a lost draft only costs a restart */ }
+}
+
+/**
+ * Mistake notebook: { updatedAt, entries: { 'subject/level/qid': entry },
+ * cleared: { 'subject/level/qid': ts } } — `cleared` remembers recent
+ * removals so a merge doesn't bring them back.
+ */
+function _getNotebook() {
+    try {
+        const raw = JSON.parse(localStorage.getItem(MISTAKE_KEY));
+        if (raw && typeof raw.entries === 'object' && raw.entries) return { cleared: {}, ...raw };
+    } catch { /* fall through */ }
+    return { updatedAt: 0, entries: {}, cleared: {} };
+}
+
+function _getSchedule() {
+    try {
+        const raw = JSON.parse(localStorage.getItem(REVIEW_KEY));
+        return raw && typeof raw === 'object' ? raw : {};
+    } catch { return {}; }
+}
+
+/**
+ * Keep the schedule under MAX_REVIEWS: drop questions from the top box
+ * down, and within a box the ones answered longest ago.
+ */
+function _saveSchedule(schedule) {
+    const keys = Object.keys(schedule);
+    if (keys.length > MAX_REVIEWS) {
+        const box = k => schedule[k].box || 1;
+        const seen = k => (schedule[k].due || 0) - (REVIEW_DAYS[box(k) - 1] || 0) * DAY_MS;
+        keys.sort((a, b) => box(b) - box(a) || seen(a) - seen(b))
+            .slice(0, keys.length - MAX_REVIEWS)
+            .forEach(k => delete schedule[k]);
+    }
+    try { localStorage.setItem(REVIEW_KEY, JSON.stringify(schedule)); }
+    catch (e) { console.warn('[Progress] Review schedule save failed (quota?):', e.message); }
+}
+
+/** Local midnight — reviews fall due by day, not by the minute */
+function _startOfDay(ts) {
+    const d = new Date(ts);
+    d.setHours(0, 0, 0, 0);
+    return d.getTime();
+}
+
+/** Combine two final-exam records: best of each, certified if either is */
+function _mergeFinal(local = {}, remote) {
+    const latest = (remote.attemptAt || 0) > (local.attemptAt || 0) ? remote : local;
+    const certs = [local.certifiedAt, remote.certifiedAt].filter(Boolean);
+    return {
+        ...latest,
+        best: Math.max(local.best || 0, remote.best || 0),
+        passed: !!(local.passed || remote.passed),
+        certifiedAt: certs.length ? Math.min(...certs) : null,
+        startedAt: Math.max(local.startedAt || 0, remote.startedAt || 0) || null,
+        attempts: Math.max(local.attempts || 0, remote.attempts || 0)
+    };
+}
+
+/** The slim record kept in a set's history for every attempt */
+function _attemptOf(entry) {
+    return {
+        score: entry.score, total: entry.total, percentage: entry.percentage || 0,
+        timeTaken: entry.timeTaken || 0, mode: entry.mode || 'practice',
+        date: entry.date || '', timestamp: entry.timestamp || 0
+    };
+}
+
+/**
+ * A set's attempts, oldest first. An entry saved before histories were kept
+ * starts from its stored best, so that attempt is not lost from the trend.
+ */
+function _historyOf(entry) {
+    if (!entry || typeof entry !== 'object') return [];
+    return Array.isArray(entry.attempts) ? entry.attempts : [_attemptOf(entry)];
+}
+
+/**
+ * Sort by time and drop duplicates — the same attempt held locally and sent
+ * back by the backend carries the same timestamp (see syncResult). Past
+ * MAX_ATTEMPTS only the first attempt (the baseline) and the most recent
+ * ones are kept.
+ */
+function _compactHistory(list) {
+    const sorted = [];
+    list.filter(Boolean).sort((a, b) => a.timestamp - b.timestamp).forEach(a => {
+        const last = sorted[sorted.length - 1];
+        if (!last || a.timestamp !== last.timestamp) sorted.push(a);
+    });
+    return sorted.length > MAX_ATTEMPTS
+        ? [sorted[0], ...sorted.slice(-(MAX_ATTEMPTS - 1))]
+        : sorted;
+}
+
+/**
+ * Fold `remote` progress into `local` and return it — the rules of
+ * Progress._mergeBackendData, also used to adopt the localStorage blob when
+ * moving to IndexedDB.
+ */
+function _mergeProgress(local, remote) {
+    let latestAttempt = local._meta?.lastAttempted || null;
+
+    for (const subject of Object.keys(remote)) {
+        if (subject === '_meta' || subject === 'success') continue;
+        if (!remote[subject] || typeof remote[subject] !== 'object') continue;
+
+        if (!local[subject]) local[subject] = {};
+
+        for (const level of Object.keys(remote[subject])) {
+            if (level === '_meta') continue;
+            if (!remote[subject][level] || typeof remote[subject][level] !== 'object') continue;
+
+            if (!local[subject][level]) local[subject][level] = {};
+
+            // Level meta: local keys win, unknown remote ones are kept
+            const remoteMeta = remote[subject][level]._meta;
+            if (remoteMeta && typeof remoteMeta === 'object') {
+                const localMeta = { ...remoteMeta, ...(local[subject][level]._meta || {}) };
+                if (remoteMeta.final && typeof remoteMeta.final === 'object') {
+                    localMeta.final = _mergeFinal(local[subject][level]._meta?.final, remoteMeta.final);
+                }
+                local[subject][level]._meta = localMeta;
+            }
+
+            for (const set of Object.keys(remote[subject][level])) {
+                if (set === '_meta') continue;
+                const remoteEntry = remote[subject][level][set];
+                const localEntry = local[subject][level][set];
+                if (!remoteEntry || typeof remoteEntry !== 'object') continue;
+
+                const remotePct = remoteEntry?.percentage || 0;
+                const localPct = localEntry?.percentage || 0;
+                const remoteLearn = remoteEntry?.mode === 'learn';
+                const localLearn = localEntry?.mode === 'learn';
+
+                const remoteWins = remoteLearn !== localLearn
+                    ? localLearn
+                    : remotePct > localPct ||
+                    (remotePct === localPct && (remoteEntry?.timestamp || 0) > (localEntry?.timestamp || 0));
+
+                const best = !localEntry || remoteWins
+                    ? {
+                        ...remoteEntry,
+                        score: remoteEntry.score,
+                        total: remoteEntry.total,
+                        percentage: remotePct,
+                        date: remoteEntry.date || '',
+                        timestamp: remoteEntry.timestamp || 0,
+                        timeTaken: remoteEntry.timeTaken || 0,
+                        mode: remoteEntry.mode || 'practice',
+                        seed: remoteEntry.seed || ''
+                    }
+                    : localEntry;
+
+                // Histories are unioned — either device may hold attempts the other lacks
+                const attempts = _compactHistory([..._historyOf(localEntry), ..._historyOf(remoteEntry)]);
+                local[subject][level][set] = {
+                    ...best,
+                    attempts,
+                    attemptCount: Math.max(
+                        localEntry?.attemptCount || 0, remoteEntry.attemptCount || 0, attempts.length)
+                };
+
+                const entryTs = remoteEntry?.timestamp || 0;
+                if (!latestAttempt || entryTs > (latestAttempt.timestamp || 0)) {
+                    latestAttempt = {
+                        subject, level, set,
+                        percentage: remotePct,
+                        date: remoteEntry.date || '',
+                        timestamp: entryTs
+                    };
+                }
+            }
+        }
+    }
+
+    local._meta = {
+        ...(local._meta || {}),
+        lastAttempted: latestAttempt
+    };
+    return local;
+}
+
+/** When an entry last changed — older entries only carry `lastWrong` */
+const _touched = e => e.touchedAt || e.lastWrong || 0;
+
+/** Keep the newest MAX_MISTAKES entries and the recent clearances */
+function _trimNotebook(book) {
+    const keys = Object.keys(book.entries);
+    if (keys.length > MAX_MISTAKES) {
+        keys.sort((a, b) => (book.entries[a].lastWrong || 0) - (book.entries[b].lastWrong || 0))
+            .slice(0, keys.length - MAX_MISTAKES)
+            .forEach(k => delete book.entries[k]);
+    }
+    const cutoff = Date.now() - CLEARED_TTL_MS;
+    for (const [key, ts] of Object.entries(book.cleared)) {
+        if (ts < cutoff) delete book.cleared[key];
+    }
+    return book;
+}
+
+/**
+ * Combine two notebooks entry by entry ('subject/level/id'): the copy
+ * changed last wins, and an entry cleared after its last change stays
+ * cleared — so neither device's mistakes are lost to the other's push.
+ */
+function _mergeNotebooks(local, remote) {
+    const cleared = { ...(local.cleared || {}) };
+    for (const [key, ts] of Object.entries(remote.cleared || {})) {
+        cleared[key] = Math.max(cleared[key] || 0, ts);
+    }
+    const entries = {};
+    // Local first, so a tie keeps the local copy and an unchanged notebook compares equal
+    for (const [key, entry] of [...Object.entries(local.entries || {}), ...Object.entries(remote.entries || {})]) {
+        if (!entry || typeof entry !== 'object') continue;
+        if ((cleared[key] || 0) >= _touched(entry)) continue;
+        if (!entries[key] || _touched(entry) > _touched(entries[key])) entries[key] = entry;
+    }
+    return _trimNotebook({
+        updatedAt: Math.max(local.updatedAt || 0, remote.updatedAt || 0),
+        entries,
+        cleared
+    });
+}
+
+function _saveNotebook(book) {
+    try { localStorage.setItem(MISTAKE_KEY, JSON.stringify(book)); }
+    catch (e) { console.warn('[Progress] Mistake notebook save failed (quota?):', e.message); }
+}
+
 export const Progress = {
 
+    /**
+     * Bring stored progress up to the current schema (see migrations.js),
+     * then open IndexedDB and load results and drafts into memory, adopting
+     * whatever the localStorage blob still holds: the one-time move, or
+     * results saved during a session that had to fall back. Resolves true on
+     * IndexedDB, false when staying on localStorage. This module awaits it
+     * on load, so importers can use Progress straight away.
+     */
+    ready() {
+        if (_ready) return _ready;
+        _ready = (async () => {
+            // One version stamp, in the localStorage `_meta`, covers both stores
+            const blob = _readBlob();
+            let upgraded = blob;
+            try {
+                upgraded = migrate(blob);
+            } catch (e) {
+                _frozen = true;
+                console.warn(`[Progress] ${e.message} — loading it read-only.`);
+            }
+            const stale = !_frozen && versionOf(blob) !== SCHEMA_VERSION;
+            const stayLocal = () => {
+                if (stale) _saveData(upgraded);
+                return false;
+            };
+            // Once moved, the blob holds only `_meta` — empty progress here would
+            // not be real, so the open is tried twice and a failure is flagged
+            let moved = false;
+            try { moved = localStorage.getItem(IDB_KEY) === '1'; } catch { /* ignore */ }
+            const unreadable = () => {
+                if (moved) {
+                    _unreadable = true;
+                    console.warn('[Progress] IndexedDB unavailable — saved progress not loaded this visit.');
+                }
+                return stayLocal();
+            };
+
+            if (!await DB.open() && !(moved && await DB.open())) return unreadable();
+            let [results = {}, drafts = {}] = await Promise.all([DB.get('results'), DB.get('drafts')]);
+            if (results === null || drafts === null) return unreadable();
+
+            const { _meta, ...legacy } = upgraded;
+            const legacyDrafts = _readLocalDrafts();
+            if (!_frozen && (stale || Object.keys(legacy).length || Object.keys(legacyDrafts).length)) {
+                // IndexedDB results were saved at the blob's version too
+                const current = migrate({ ...results, _meta: blob._meta });
+                const { _meta: meta, ...mergedResults } = _mergeProgress({ ...current, _meta }, legacy);
+                const mergedDrafts = { ...legacyDrafts, ...drafts };
+                // localStorage is only trimmed once IndexedDB holds the data
+                if (!await DB.set('results', mergedResults) || !await DB.set('drafts', mergedDrafts)) {
+                    return unreadable();
+                }
+                [results, drafts] = [mergedResults, mergedDrafts];
+                try {
+                    localStorage.setItem(STORAGE_KEY, JSON.stringify({ _meta: meta }));
+                    localStorage.removeItem(DRAFT_KEY);
+                } catch { /* the blob is adopted again next time — harmless */ }
+                if (Object.keys(legacy).length) console.log('[Progress] Moved progress from localStorage to IndexedDB.');
+            }
+            _mem = { results, drafts };
+            try { localStorage.setItem(IDB_KEY, '1'); } catch { /* ignore */ }
+            return true;
+        })();
+        return _ready;
+    },
+
+    /**
+     * True when this visit fell back to localStorage although progress had
+     * moved to IndexedDB — results and drafts shown are incomplete. New
+     * results still save, and are adopted once IndexedDB opens again.
+     */
+    loadFailed() {
+        return _unreadable;
+    },
+
+    /**
+     * Full progress: { subject: { level: { set: entry } }, _meta }. Treat it
+     * as read-only unless it goes back through a save — on IndexedDB the
+     * nested objects are the in-memory copy itself.
+     */
     getAll() {
+        if (_mem) {
+            const { _meta } = _readBlob();
+            return _meta ? { ..._mem.results, _meta } : { ..._mem.results };
+        }
         try {
             const raw = JSON.parse(localStorage.getItem(STORAGE_KEY));
             if (!raw || typeof raw !== 'object') return {};
@@ -28,34 +440,340 @@ export const Progress = {
         catch { return {}; }
     },
 
-    saveResult(subject, level, set, score, total, timeTaken = 0) {
+    /**
+     * Record a finished set. `details.mode` tags the attempt ('practice',
+     * 'exam' or 'learn'). Learning-mode attempts only fill the slot until an
+     * assessed attempt exists — they never overwrite an assessed best, while
+     * any assessed attempt replaces a learning-mode entry. `details.seed` is
+     * kept with the entry so the attempt's paper can be replayed, and
+     * `details.telemetry` holds its per-question timing. `details.timestamp`,
+     * when given, stamps the attempt — syncResult sends the same one.
+     * Every attempt, best or not, is appended to the entry's `attempts`
+     * history (see getAttempts); `attemptCount` keeps counting after old
+     * attempts are compacted away.
+     */
+    saveResult(subject, level, set, score, total, timeTaken = 0, details = {}) {
         const data = this.getAll();
         const pct = Math.round((score / total) * 100);
-        const best = data[subject]?.[level]?.[set]?.percentage || 0;
+        const prev = data[subject]?.[level]?.[set];
+        const best = prev?.percentage || 0;
+        const mode = details.mode || 'practice';
         const date = new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
-        const ts = Date.now();
+        const ts = details.timestamp || Date.now();
 
         data._meta = {
             ...(data._meta || {}),
             lastAttempted: { subject, level, set, percentage: pct, date, timestamp: ts }
         };
 
-        if (pct >= best) {
-            if (!data[subject]) data[subject] = {};
-            if (!data[subject][level]) data[subject][level] = {};
-            data[subject][level][set] = { score, total, percentage: pct, date, timestamp: ts, timeTaken };
+        const prevLearn = prev?.mode === 'learn';
+        const replace = mode === 'learn'
+            ? !prev || (prevLearn && pct >= best)
+            : pct >= best || prevLearn;
+
+        const history = _historyOf(prev);
+        const attempts = _compactHistory([
+            ...history, { score, total, percentage: pct, timeTaken, mode, date, timestamp: ts }
+        ]);
+        const attemptCount = (prev?.attemptCount || history.length) + 1;
+
+        if (!data[subject]) data[subject] = {};
+        if (!data[subject][level]) data[subject][level] = {};
+        data[subject][level][set] = replace
+            ? {
+                score, total, percentage: pct, date, timestamp: ts, timeTaken, mode, seed: details.seed || '',
+                telemetry: details.telemetry || [], attempts, attemptCount
+            }
+            : { ...prev, attempts, attemptCount };
+
+        _saveData(data);
+        return pct;
+    },
+
+    getSetResult(subject, level, set) {
+        return this.getAll()[subject]?.[level]?.[set] || null;
+    },
+
+    /** Every kept attempt at a set, oldest first: { score, total, percentage, timeTaken, mode, date, timestamp } */
+    getAttempts(subject, level, set) {
+        return _historyOf(this.getSetResult(subject, level, set));
+    },
+
+    // ================================================================
+    // DRAFTS — in-progress attempts, one per subject/level/set
+    // ================================================================
+
+    /**
+     * Store the in-progress attempt for a set (question order, option
+     * order, answers, elapsed seconds — whatever engine.js hands over).
+     */
+    saveDraft(subject, level, set, draft) {
+        const drafts = _getDrafts();
+        drafts[`${subject}/${level}/${set}`] = { ...draft, savedAt: Date.now() };
+        _saveDrafts(drafts);
+    },
+
+    /**
+     * Get the draft for a set, or null. Drafts older than `maxAgeMs` are
+     * dropped — this one and any other stale ones found along the way.
+     */
+    getDraft(subject, level, set, maxAgeMs = Infinity) {
+        const drafts = _getDrafts();
+        const now = Date.now();
+        let pruned = false;
+        for (const [key, d] of Object.entries(drafts)) {
+            if (!d || now - (d.savedAt || 0) > maxAgeMs) {
+                delete drafts[key];
+                pruned = true;
+            }
+        }
+        if (pruned) _saveDrafts(drafts);
+        return drafts[`${subject}/${level}/${set}`] || null;
+    },
+
+    clearDraft(subject, level, set) {
+        const drafts = _getDrafts();
+        if (!drafts[`${subject}/${level}/${set}`]) return;
+        delete drafts[`${subject}/${level}/${set}`];
+        _saveDrafts(drafts);
+    },
+
+    // ================================================================
+    // MISTAKE NOTEBOOK — wrongly answered questions, by stable ID
+    // ================================================================
+
+    /**
+     * Notebook entries, newest mistake first. Each entry:
+     * { subject, level, set, id, q, correct, wrong, streak, lastWrong, touchedAt }
+     * where `streak` counts correct answers in a row since the last miss and
+     * `touchedAt` is when the entry last changed.
+     */
+    getMistakes(subject = null, level = null) {
+        return Object.values(_getNotebook().entries)
+            .filter(m => (!subject || m.subject === subject) && (!level || m.level === level))
+            .sort((a, b) => (b.lastWrong || 0) - (a.lastWrong || 0));
+    },
+
+    /**
+     * Record per-question outcomes of a finished attempt.
+     * `outcomes`: [{ set, id, q, correct (answer text), isCorrect, sure?, subject?, level? }]
+     * — an outcome's own `subject` / `level` win (review rounds and custom
+     * quizzes span levels and subjects).
+     * A miss adds the question (or resets its streak); a question already in
+     * the notebook leaves it after `clearAfter` correct answers in a row.
+     * A miss the student was sure of flags the entry as a misconception.
+     */
+    recordAnswers(subject, level, outcomes, clearAfter = 2) {
+        const book = _getNotebook();
+        const now = Date.now();
+        let changed = false;
+
+        for (const o of outcomes) {
+            const sub = o.subject || subject;
+            const lvl = o.level || level;
+            const key = `${sub}/${lvl}/${o.id}`;
+            const entry = book.entries[key];
+            if (!o.isCorrect) {
+                book.entries[key] = {
+                    subject: sub, level: lvl, set: String(o.set), id: o.id,
+                    q: o.q, correct: o.correct,
+                    wrong: (entry?.wrong || 0) + 1,
+                    streak: 0,
+                    lastWrong: now,
+                    touchedAt: now,
+                    misconception: !!(entry?.misconception || o.sure)
+                };
+                delete book.cleared[key];
+                changed = true;
+            } else if (entry) {
+                entry.streak = (entry.streak || 0) + 1;
+                entry.touchedAt = now;
+                if (entry.streak >= clearAfter) {
+                    delete book.entries[key];
+                    book.cleared[key] = now;
+                }
+                changed = true;
+            }
+        }
+        if (!changed) return false;
+
+        book.updatedAt = now;
+        _saveNotebook(_trimNotebook(book));
+        return true;
+    },
+
+    removeMistake(subject, level, id) {
+        const book = _getNotebook();
+        const key = `${subject}/${level}/${id}`;
+        if (!book.entries[key]) return;
+        delete book.entries[key];
+        book.updatedAt = book.cleared[key] = Date.now();
+        _saveNotebook(_trimNotebook(book));
+    },
+
+    /** The whole notebook, as synced to the backend */
+    getMistakeNotebook() {
+        return _getNotebook();
+    },
+
+    /**
+     * Fold a notebook fetched from the backend into the local one, entry by
+     * entry (the backend merges pushes the same way).
+     * Returns true if local data changed.
+     */
+    mergeMistakeNotebook(remote) {
+        if (!remote || typeof remote.entries !== 'object' || !remote.entries) return false;
+        const local = _getNotebook();
+        const merged = _mergeNotebooks(local, remote);
+        if (JSON.stringify(merged.entries) === JSON.stringify(local.entries) &&
+            JSON.stringify(merged.cleared) === JSON.stringify(local.cleared)) return false;
+        _saveNotebook(merged);
+        return true;
+    },
+
+    // ================================================================
+    // SPACED REVIEW — Leitner schedule for every answered question
+    // ================================================================
+
+    /**
+     * Move each answered question through the Leitner boxes and set its
+     * next due day. `outcomes`: [{ level, set, id, isCorrect, subject? }].
+     */
+    scheduleAnswers(subject, outcomes) {
+        const schedule = _getSchedule();
+        const today = _startOfDay(Date.now());
+
+        for (const o of outcomes) {
+            const sub = o.subject || subject;
+            const key = `${sub}/${o.level}/${o.id}`;
+            const prev = schedule[key];
+            const box = o.isCorrect ? Math.min((prev?.box || 1) + 1, REVIEW_DAYS.length) : 1;
+            schedule[key] = {
+                subject: sub, level: o.level, set: String(o.set), id: o.id,
+                box,
+                due: today + REVIEW_DAYS[box - 1] * DAY_MS,
+                right: (prev?.right || 0) + (o.isCorrect ? 1 : 0),
+                wrong: (prev?.wrong || 0) + (o.isCorrect ? 0 : 1)
+            };
         }
 
+        _saveSchedule(schedule);
+    },
+
+    /** Take questions that no longer exist (set renamed, ID changed) off the schedule */
+    dropReviews(refs) {
+        const schedule = _getSchedule();
+        let dropped = 0;
+        for (const r of refs) {
+            const key = `${r.subject}/${r.level}/${r.id}`;
+            if (key in schedule) {
+                delete schedule[key];
+                dropped++;
+            }
+        }
+        if (dropped) _saveSchedule(schedule);
+    },
+
+    /** Questions due for review by `now`, most overdue (then weakest) first */
+    getDueReviews(subject = null, now = Date.now()) {
+        return Object.values(_getSchedule())
+            .filter(r => (!subject || r.subject === subject) && r.due <= now)
+            .sort((a, b) => a.due - b.due || a.box - b.box);
+    },
+
+    // ================================================================
+    // CUSTOM QUIZZES — built from the set.json pools (builder.html)
+    // ================================================================
+
+    /**
+     * Record a finished custom quiz under its own key, newest first.
+     * `spec` is { subjects[], levels[], count } as built on builder.html.
+     */
+    saveCustomResult(spec, score, total, timeTaken = 0, details = {}) {
+        const pct = Math.round((score / total) * 100);
+        const history = this.getCustomResults();
+        history.unshift({
+            subjects: spec?.subjects || [],
+            levels: spec?.levels || [],
+            count: spec?.count || total,
+            score, total, percentage: pct, timeTaken,
+            mode: details.mode || 'practice',
+            seed: details.seed || '',
+            telemetry: details.telemetry || [],
+            date: new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' }),
+            timestamp: Date.now()
+        });
         try {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+            localStorage.setItem(CUSTOM_KEY, JSON.stringify(history.slice(0, MAX_CUSTOM)));
         } catch (e) {
-            console.warn('[Progress] localStorage save failed (quota?):', e.message);
+            console.warn('[Progress] Custom quiz save failed (quota?):', e.message);
         }
         return pct;
     },
 
-    getSetResult(subject, level, set) {
-        return this.getAll()[subject]?.[level]?.[set] || null;
+    getCustomResults() {
+        try {
+            const raw = JSON.parse(localStorage.getItem(CUSTOM_KEY));
+            return Array.isArray(raw) ? raw : [];
+        } catch { return []; }
+    },
+
+    // ================================================================
+    // FINAL EXAMS — one per subject/level, kept in the level's _meta
+    // ================================================================
+
+    /**
+     * Final-exam record for a level, or null:
+     * { best, passed, certifiedAt, startedAt, attemptAt, attempts,
+     *   score, total, percentage, timeTaken, date } — the last five
+     * describe the latest finished attempt.
+     */
+    getFinalExam(subject, level) {
+        return this.getAll()[subject]?.[level]?._meta?.final || null;
+    },
+
+    /** Mark a fresh attempt as started — the cooldown window runs from here */
+    startFinalExam(subject, level) {
+        this._updateFinal(subject, level, f => ({ ...f, startedAt: Date.now() }));
+    },
+
+    /** Timestamp the next attempt may start at, or 0 when it may start now */
+    finalAvailableAt(subject, level, cooldownMs) {
+        const f = this.getFinalExam(subject, level);
+        const last = Math.max(f?.startedAt || 0, f?.attemptAt || 0);
+        return last && last + cooldownMs > Date.now() ? last + cooldownMs : 0;
+    },
+
+    /**
+     * Record a finished final exam. The level is certified once a score
+     * reaches `details.passMark`; later failed attempts never take that away.
+     */
+    saveFinalResult(subject, level, score, total, timeTaken = 0, details = {}) {
+        const passMark = details.passMark ?? 80;
+        const pct = Math.round((score / total) * 100);
+        const ts = details.timestamp || Date.now();
+        const date = new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+        this._updateFinal(subject, level, f => ({
+            ...f,
+            best: Math.max(f.best || 0, pct),
+            passed: !!f.passed || pct >= passMark,
+            certifiedAt: f.certifiedAt || (pct >= passMark ? ts : null),
+            attemptAt: ts,
+            attempts: (f.attempts || 0) + 1,
+            score, total, percentage: pct, timeTaken, date, seed: details.seed || '',
+            telemetry: details.telemetry || []
+        }));
+        return pct;
+    },
+
+    _updateFinal(subject, level, update) {
+        const data = this.getAll();
+        if (!data[subject]) data[subject] = {};
+        if (!data[subject][level]) data[subject][level] = {};
+        const meta = data[subject][level]._meta || {};
+        meta.final = update(meta.final || {});
+        data[subject][level]._meta = meta;
+        _saveData(data);
     },
 
     getLevelStats(subject, level) {
@@ -176,9 +894,7 @@ export const Progress = {
                     guardianName: profile.guardianName || '',
                     contactNumber: profile.contactNumber || ''
                 };
-                try {
-                    localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
-                } catch { /* silently fail */ }
+                _saveData(data);
             }
 
             // Store cache marker in sessionStorage
@@ -232,14 +948,30 @@ export const Progress = {
 
     /**
      * Clear ALL session and cached data. Called on logout.
-     * Wipes: sessionStorage cache, localStorage progress, student ID, sync queue.
+     * Wipes: sessionStorage cache, localStorage progress, drafts, mistake
+     * notebook, review schedule, custom quizzes, student ID, sync queue —
+     * and the IndexedDB copies of results and drafts. Resolves once those
+     * are gone, so logout can wait before leaving the page.
      */
     clearAllSessionData() {
         try { sessionStorage.removeItem(CACHE_KEY); } catch { /* ignore */ }
         try { localStorage.removeItem(STORAGE_KEY); } catch { /* ignore */ }
+        try { localStorage.removeItem(DRAFT_KEY); } catch { /* ignore */ }
+        try { localStorage.removeItem(MISTAKE_KEY); } catch { /* ignore */ }
+        try { localStorage.removeItem(REVIEW_KEY); } catch { /* ignore */ }
+        try { localStorage.removeItem(CUSTOM_KEY); } catch { /* ignore */ }
+        try { localStorage.removeItem(IDB_KEY); } catch { /* ignore */ }
         try { localStorage.removeItem('grammarhub_student_id'); } catch { /* ignore */ }
         try { localStorage.removeItem('grammarhub_sync_queue'); } catch { /* ignore */ }
         console.log('[Progress] All session data cleared.');
+        if (_mem) _mem = { results: {}, drafts: {} };
+        try {
+            _channel?.postMessage({ key: 'results', value: {} });
+            _channel?.postMessage({ key: 'drafts', value: {} });
+        } catch { /* ignore */ }
+        // Even a session that fell back to localStorage wipes IndexedDB — the
+        // next student to log in on this device would adopt what it holds
+        return DB.open().then(() => Promise.all([DB.remove('results'), DB.remove('drafts')]));
     },
 
     // ================================================================
@@ -295,68 +1027,18 @@ export const Progress = {
     },
 
     /**
-     * Merge remote progress data into localStorage.
-     * Keeps the BEST score for each subject/level/set.
+     * Merge remote progress data into local storage.
+     * Keeps the BEST score for each subject/level/set — an assessed result
+     * always wins over a learning-mode one, whatever the percentages.
      */
     _mergeBackendData(remote) {
-        const local = this.getAll();
-        let latestAttempt = local._meta?.lastAttempted || null;
-
-        for (const subject of Object.keys(remote)) {
-            if (subject === '_meta' || subject === 'success') continue;
-            if (!remote[subject] || typeof remote[subject] !== 'object') continue;
-
-            if (!local[subject]) local[subject] = {};
-
-            for (const level of Object.keys(remote[subject])) {
-                if (level === '_meta') continue;
-                if (!remote[subject][level] || typeof remote[subject][level] !== 'object') continue;
-
-                if (!local[subject][level]) local[subject][level] = {};
-
-                for (const set of Object.keys(remote[subject][level])) {
-                    if (set === '_meta') continue;
-                    const remoteEntry = remote[subject][level][set];
-                    const localEntry = local[subject][level][set];
-
-                    const remotePct = remoteEntry?.percentage || 0;
-                    const localPct = localEntry?.percentage || 0;
-
-                    if (!localEntry || remotePct > localPct ||
-                        (remotePct === localPct && (remoteEntry?.timestamp || 0) > (localEntry?.timestamp || 0))) {
-                        local[subject][level][set] = {
-                            score: remoteEntry.score,
-                            total: remoteEntry.total,
-                            percentage: remotePct,
-                            date: remoteEntry.date || '',
-                            timestamp: remoteEntry.timestamp || 0,
-                            timeTaken: remoteEntry.timeTaken || 0
-                        };
-                    }
-
-                    const entryTs = remoteEntry?.timestamp || 0;
-                    if (!latestAttempt || entryTs > (latestAttempt.timestamp || 0)) {
-                        latestAttempt = {
-                            subject, level, set,
-                            percentage: remotePct,
-                            date: remoteEntry.date || '',
-                            timestamp: entryTs
-                        };
-                    }
-                }
-            }
-        }
-
-        local._meta = {
-            ...(local._meta || {}),
-            lastAttempted: latestAttempt
-        };
-
         try {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(local));
+            _saveData(_mergeProgress(this.getAll(), migrate(remote)));
         } catch (e) {
-            console.warn('[Progress] localStorage save failed during merge:', e.message);
+            console.warn('[Progress] Remote progress not merged:', e.message);
         }
     }
 };
 
+// Load before any importer touches Progress — reads stay synchronous after this
+await Progress.ready();